@@ -1,7 +1,16 @@
 #!/usr/bin/env node
 
-import { join } from 'path';
+import { join, dirname, basename } from 'path';
 import { BatchProcessor } from './src/processors/BatchProcessor.js';
+import { Evaluator } from './src/processors/Evaluator.js';
+import { TranscriptionCache } from './src/processors/TranscriptionCache.js';
+import { StreamingDetector } from './src/processors/StreamingDetector.js';
+import { ReplaySimulator } from './src/processors/ReplaySimulator.js';
+import { FolderWatcher } from './src/processors/FolderWatcher.js';
+import { WebhookNotifier } from './src/processors/WebhookNotifier.js';
+import { ApiServer } from './src/server/ApiServer.js';
+import { AudioPreprocessor } from './src/processors/AudioPreprocessor.js';
+import { API, CODECS } from './src/config/AudioConfig.js';
 import { binaryDataToWav } from './scripts/binaryDataToWav.js';
 import { speechToText } from './scripts/speechToText.js';
 
@@ -13,12 +22,45 @@ function showUsage() {
   console.log('  node index.js [baseId] [options]                 # Single file processing');
   console.log('  node index.js --file <baseId>                    # Single file complete workflow');
   console.log('  node index.js --folder <folder-path>             # Batch folder processing');
+  console.log('  node index.js --evaluate <csv|folder> [...]      # Score results against manual labels');
+  console.log('  node index.js --stream <[dir/]baseId>            # Live detection on a growing _data file');
+  console.log('  node index.js --simulate <folder-path>           # Replay recorded calls to measure time-to-decision');
+  console.log('  node index.js --serve                            # HTTP API for submitting calls');
+  console.log('  node index.js --watch <dir>                      # Process new recordings as they arrive');
   console.log('');
   console.log('Options:');
   console.log('  --wav-only      Convert binary data to WAV only (single file mode)');
   console.log('  --text-only     Convert WAV to text only (single file mode)');
   console.log('  --export-csv    Export batch results to CSV file (folder mode only)');
-  console.log('  --save-results  Save batch results to JSON file (folder mode only)');
+  console.log('  --save-results  Save batch results to JSON file (folder, evaluate, stream and simulate modes)');
+  console.log('  --reassemble    Place frames on a 20ms grid using _timeSize timestamps (conceals lost frames)');
+  console.log('  --acoustic      Combine the acoustic (signal-based) verdict with the transcript verdict');
+  console.log('  --acoustic-only Detect from the audio signal only, without speech-to-text (offline)');
+  console.log('  --codec <name>  _data payload codec: pcm16le (default), pcm16be, mulaw, alaw, pcm8, or auto to detect it');
+  console.log('  --validation <mode>       Audio integrity/quality limits: lenient flags calls (default), strict fails them');
+  console.log('  --preprocess    Clean up a copy of the audio for transcription (<id>.processed.wav)');
+  console.log('  --preprocess-steps <list> Preprocessing chain: dc, highpass, declip, trim, peak, rms (default: dc,highpass,declip,trim,rms)');
+  console.log('  --rules <file>  Detection rules JSON file (default: src/config/detection-rules.json)');
+  console.log('  --speech-provider <name>  Speech recognition backend: google (default), fixture, http');
+  console.log('  --fixtures-dir <dir>      Recorded responses for the fixture provider (default: ./fixtures)');
+  console.log('  --speech-endpoint <url>   Local recognition engine URL for the http provider');
+  console.log('  --record-fixtures <dir>   Save each recognition response for later offline replay');
+  console.log('  --no-cache      Always call the speech provider; neither read nor write the transcription cache');
+  console.log('  --purge-cache   Delete all cached transcriptions before processing');
+  console.log('  --concurrency <n>         Process up to n calls in parallel (folder mode, default: 1)');
+  console.log('  --max-attempts <n>        Speech requests per call, retrying transient errors (default: 4)');
+  console.log('  --rate-limit <n>          Speech requests per second across all calls (default: 5, 0 = unlimited)');
+  console.log('  --analyze-seconds <n>     Only transcribe and analyse the first n seconds of each call');
+  console.log('  --webhooks <file>         Send signed results of finished calls and batches to webhook targets');
+  console.log('  --resume        Skip calls the folder manifest records as completed or failed (folder mode)');
+  console.log('  --retry-failed  Like --resume, but reprocess calls that failed (folder mode)');
+  console.log('  --stream-recognition      Feed frames to streaming speech recognition (stream mode)');
+  console.log('  --decision-threshold <x>  Outcome score for an early decision (stream mode, default: 0.6)');
+  console.log('  --stop-on-decision        Stop tailing once a decision is made (stream mode)');
+  console.log('  --speed <x>               Replay pace, 1 = real time, 0 = as fast as possible (simulate mode, default: 1)');
+  console.log('  --port <n>                Port to listen on (serve mode, default: 8080)');
+  console.log('  --host <address>          Address to listen on (serve mode, default: 127.0.0.1)');
+  console.log('  --stable-seconds <n>      Seconds without writes before a recording is processed (watch mode, default: 10)');
   console.log('  --help          Show this help message');
   console.log('');
   console.log('Examples:');
@@ -33,6 +75,35 @@ function showUsage() {
   console.log('  node index.js --folder data/20250702      # Process all files in folder');
   console.log('  node index.js --folder 20250702 --export-csv      # Process and export CSV');
   console.log('  node index.js --folder ./data/20250702 --save-results  # Process and save JSON');
+  console.log('  node index.js --folder 20250702 --reassemble      # Rebuild call timeline from timestamps');
+  console.log('  node index.js --folder 20250702 --acoustic-only   # Offline detection, no API calls');
+  console.log('  node index.js --folder 20250702 --speech-provider fixture --fixtures-dir fixtures/20250702');
+  console.log('  node index.js --folder 20250702 --purge-cache     # Re-transcribe everything');
+  console.log('  node index.js --folder 20250702 --concurrency 4   # Four calls at a time');
+  console.log('  node index.js --folder 20250702 --analyze-seconds 15  # Greeting only');
+  console.log('  node index.js --folder 20250702 --codec mulaw     # G.711 μ-law trunk');
+  console.log('  node index.js --folder 20250702 --codec auto      # Mixed trunks, detect per call');
+  console.log('  node index.js --folder 20250702 --preprocess-steps dc,trim,peak  # Quiet lines');
+  console.log('  node index.js --folder 20250702 --validation strict --export-csv  # Fail damaged recordings');
+  console.log('  node index.js --folder 20250702 --resume --export-csv  # Continue an interrupted run');
+  console.log('');
+  console.log('  # Live detection while the call is being recorded');
+  console.log('  node index.js --stream data/20250702/1751421215833 --stop-on-decision');
+  console.log('');
+  console.log('  # Time-to-decision benchmark from recorded calls');
+  console.log('  node index.js --simulate 20250702 --speed 10');
+  console.log('  node index.js --simulate 20250702 --speed 0 --decision-threshold 0.8 --save-results');
+  console.log('');
+  console.log('  # Watch the data directory; each day folder gets its CSV appended as calls arrive');
+  console.log('  node index.js --watch data --concurrency 2');
+  console.log('');
+  console.log('  # HTTP API (jobs run with the workflow options given here)');
+  console.log('  node index.js --serve --port 8080 --concurrency 2 --acoustic');
+  console.log('');
+  console.log('  # Evaluation against reviewed CSVs (手動判定 column)');
+  console.log('  node index.js --evaluate output/20250702/20250702-results.csv');
+  console.log('  node index.js --evaluate output/20250701 output/20250702  # Aggregate date folders');
+  console.log('  node index.js --evaluate output                           # All *-results.csv below output/');
   console.log('');
   console.log('Folder Structure:');
   console.log('  data/20250702/           # Date-based folder');
@@ -49,8 +120,8 @@ function showUsage() {
   console.log('');
 }
 
-async function processStandardWorkflow(args) {
-  const baseId = args.find(arg => !arg.startsWith('--')) || '1751421215833';
+async function processStandardWorkflow(args, options = {}) {
+  const baseId = getPositionalArgs(args)[0] || '1751421215833';
   const wavOnly = args.includes('--wav-only');
   const textOnly = args.includes('--text-only');
   
@@ -64,14 +135,14 @@ async function processStandardWorkflow(args) {
     // Step 1: Convert binary data to WAV
     if (!textOnly) {
       console.log('Converting binary data to WAV...');
-      wavResult = await binaryDataToWav(baseId);
+      wavResult = await binaryDataToWav(baseId, options);
       console.log('');
     }
     
     // Step 2: Convert WAV to text
     if (!wavOnly) {
       console.log('Converting WAV to text...');
-      textResult = await speechToText(baseId);
+      textResult = await speechToText(baseId, options);
       console.log('');
     }
     
@@ -86,44 +157,69 @@ async function processStandardWorkflow(args) {
   }
 }
 
-async function processCompleteWorkflowSingle(fileId) {
+async function processCompleteWorkflowSingle(fileId, options = {}) {
   console.log('Single File Complete Workflow - Processing:', fileId);
   console.log('');
   
   try {
-    const result = await BatchProcessor.processCompleteWorkflow(fileId);
+    const result = await BatchProcessor.processCompleteWorkflow(fileId, null, options);
     
+    // No process.exit here: main still has to deliver the call.failed webhook
     if (!result.success) {
       console.error('Single file processing failed');
-      process.exit(1);
+      process.exitCode = 1;
     }
     
     return result;
     
   } catch (error) {
     console.error('Single file processing failed:', error.message);
-    process.exit(1);
+    process.exitCode = 1;
+  }
+}
+
+function resolveFolderPath(folderPath) {
+  // Resolve folder path relative to data directory if not absolute
+  if (!folderPath.startsWith('/') && !folderPath.startsWith('\\') && !folderPath.includes(':')) {
+    // Relative path - check if it starts with data/
+    if (!folderPath.startsWith('data/')) {
+      return join('data', folderPath);
+    }
   }
+  return folderPath;
 }
 
-async function processFolderBatchWorkflow(folderPath, exportCsv = false, saveResults = false) {
+async function processFolderBatchWorkflow(folderPath, exportCsv = false, saveResults = false, options = {}) {
   console.log('Folder Batch Processing - Processing:', folderPath);
   console.log('');
   
-  try {
-    // Resolve folder path relative to data directory if not absolute
-    let resolvedPath = folderPath;
-    if (!folderPath.startsWith('/') && !folderPath.startsWith('\\') && !folderPath.includes(':')) {
-      // Relative path - check if it starts with data/
-      if (!folderPath.startsWith('data/')) {
-        resolvedPath = join('data', folderPath);
-      }
+  // First Ctrl-C stops scheduling and flushes partial results, a second one quits immediately
+  const controller = new AbortController();
+  const exporting = exportCsv || saveResults;
+  const onInterrupt = () => {
+    if (controller.signal.aborted) {
+      process.exit(130);
     }
-    
-    const result = await BatchProcessor.processFolderBatch(resolvedPath);
+    console.log('');
+    if (exporting) {
+      console.log('Interrupted - saving partial results (press Ctrl-C again to quit immediately)');
+    } else {
+      console.log('Interrupted - no --export-csv or --save-results given, so finished calls are only kept in the manifest');
+      console.log('(press Ctrl-C again to quit immediately)');
+    }
+    controller.abort();
+  };
+  process.on('SIGINT', onInterrupt);
+  
+  try {
+    const result = await BatchProcessor.processFolderBatch(resolveFolderPath(folderPath), {
+      ...options,
+      signal: controller.signal
+    });
     
     if (!result.success) {
       console.error('Folder processing failed');
+      await WebhookNotifier.flush();
       process.exit(1);
     }
     
@@ -137,12 +233,297 @@ async function processFolderBatchWorkflow(folderPath, exportCsv = false, saveRes
       await BatchProcessor.saveBatchResults(result);
     }
     
+    // Calls still in flight are abandoned; the manifest lets --resume pick them up
+    if (result.interrupted) {
+      if (!exporting && result.results.length > 0) {
+        console.log(`Export the finished calls with: node index.js --folder ${folderPath} --resume --export-csv`);
+      }
+      await WebhookNotifier.flush();
+      process.exit(130);
+    }
+    
     return result;
     
   } catch (error) {
     console.error('Folder processing failed:', error.message);
     process.exit(1);
+  } finally {
+    process.off('SIGINT', onInterrupt);
+  }
+}
+
+// Options followed by a value
+const VALUE_OPTIONS = [
+  '--folder', '--file', '--rules', '--evaluate',
+  '--speech-provider', '--fixtures-dir', '--speech-endpoint', '--record-fixtures',
+  '--concurrency', '--max-attempts', '--rate-limit', '--analyze-seconds',
+  '--stream', '--decision-threshold', '--simulate', '--speed', '--port', '--host',
+  '--watch', '--stable-seconds', '--webhooks', '--codec', '--preprocess-steps', '--validation'
+];
+
+function getOptionValue(args, name) {
+  const index = args.indexOf(name);
+  if (index === -1) return undefined;
+  
+  const value = args[index + 1];
+  if (!value || value.startsWith('--')) {
+    throw new Error(`${name} requires a value`);
+  }
+  return value;
+}
+
+function getIntegerOption(args, name, min = 1) {
+  const value = getOptionValue(args, name);
+  if (value === undefined) return undefined;
+  
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) {
+    throw new Error(`${name} must be an integer of at least ${min}, got "${value}"`);
+  }
+  return number;
+}
+
+function getPositionalArgs(args) {
+  return args.filter((arg, index) => 
+    !arg.startsWith('--') && !VALUE_OPTIONS.includes(args[index - 1])
+  );
+}
+
+async function processEvaluation(paths, saveResults = false) {
+  console.log('Evaluation - Processing:', paths.join(', '));
+  console.log('');
+  
+  try {
+    const report = await Evaluator.evaluate(paths);
+    Evaluator.printReport(report);
+    
+    if (saveResults) {
+      await Evaluator.saveReport(report);
+    }
+    
+    return report;
+    
+  } catch (error) {
+    console.error('Evaluation failed:', error.message);
+    process.exit(1);
+  }
+}
+
+async function processStreamingWorkflow(target, saveResults = false, options = {}) {
+  // "dir/baseId" tails a call outside the default data directory
+  const baseId = basename(target);
+  const dataDir = target.includes('/') ? dirname(target) : undefined;
+  
+  console.log('Streaming Detection - Tailing:', target);
+  console.log('');
+  
+  const controller = new AbortController();
+  const onInterrupt = () => controller.abort();
+  process.on('SIGINT', onInterrupt);
+  
+  try {
+    const session = StreamingDetector.start(baseId, { ...options, dataDir, signal: controller.signal });
+    
+    session.on('codec', ({ codec }) => {
+      console.log(`Detected input codec: ${codec}`);
+    });
+    session.on('transcript', ({ transcript, isFinal, audioMs }) => {
+      console.log(`[${(audioMs / 1000).toFixed(2)}s] ${isFinal ? 'Transcript' : 'Interim'}: ${transcript}`);
+    });
+    session.on('decision', decision => {
+      console.log(`[${(decision.latencyMs / 1000).toFixed(2)}s] DECISION: ${decision.outcome.label} (${decision.outcome.score.toFixed(2)})`);
+      console.log(`Decision latency: ${decision.latencyMs}ms of call audio (${decision.wallClockMs}ms after start)`);
+    });
+    
+    const summary = await new Promise((resolve, reject) => {
+      session.once('end', resolve);
+      session.once('error', reject);
+    });
+    
+    console.log('');
+    console.log(`Stream ended after ${(summary.audioMs / 1000).toFixed(2)}s of call audio${summary.stopped ? ' (stopped)' : ''}`);
+    if (summary.final) {
+      console.log(`Final outcome: ${summary.final.outcome.label} (${summary.final.outcome.score.toFixed(2)})`);
+    }
+    if (!summary.decision) {
+      console.log('No early decision reached');
+    }
+    
+    if (saveResults) {
+      await StreamingDetector.saveSummary(summary);
+    }
+    
+    return summary;
+    
+  } catch (error) {
+    console.error('Streaming detection failed:', error.message);
+    process.exit(1);
+  } finally {
+    process.off('SIGINT', onInterrupt);
+  }
+}
+
+async function processSimulation(folderPath, saveResults = false, options = {}) {
+  console.log('Replay Simulation - Processing folder:', folderPath);
+  console.log('');
+  
+  const controller = new AbortController();
+  const onInterrupt = () => controller.abort();
+  process.on('SIGINT', onInterrupt);
+  
+  try {
+    const report = await ReplaySimulator.simulateFolder(resolveFolderPath(folderPath), {
+      ...options,
+      signal: controller.signal
+    });
+    ReplaySimulator.printReport(report);
+    
+    if (saveResults) {
+      await ReplaySimulator.saveReport(report);
+    }
+    
+    return report;
+    
+  } catch (error) {
+    console.error('Simulation failed:', error.message);
+    process.exit(1);
+  } finally {
+    process.off('SIGINT', onInterrupt);
+  }
+}
+
+async function processWatch(rootDir, options = {}) {
+  console.log('Watch Mode - Directory:', rootDir);
+  
+  const controller = new AbortController();
+  const onInterrupt = () => {
+    if (controller.signal.aborted) {
+      process.exit(130);
+    }
+    console.log('');
+    console.log('Stopping after the current recordings (press Ctrl-C again to quit immediately)');
+    controller.abort();
+  };
+  process.on('SIGINT', onInterrupt);
+  
+  try {
+    const totals = await FolderWatcher.watch(rootDir, { ...options, signal: controller.signal });
+    
+    console.log('');
+    console.log(`Watch stopped: ${totals.processed} processed (${totals.successful} successful, ${totals.failed} failed)`);
+    Object.entries(totals.byFolder).forEach(([folderName, count]) => {
+      console.log(`  ${folderName}: ${count}`);
+    });
+    
+    return totals;
+    
+  } catch (error) {
+    console.error('Watch failed:', error.message);
+    process.exit(1);
+  } finally {
+    process.off('SIGINT', onInterrupt);
+  }
+}
+
+async function processServe(options = {}) {
+  console.log('API Server - Jobs directory:', API.JOBS_DIR);
+  
+  try {
+    const server = await ApiServer.start(options);
+    
+    const onInterrupt = async () => {
+      process.once('SIGINT', () => process.exit(130));
+      console.log('');
+      console.log('Shutting down API server after the running jobs (press Ctrl-C again to quit immediately)');
+      await ApiServer.stop(server);
+      await WebhookNotifier.flush();
+      console.log('API server stopped');
+      process.exit(0);
+    };
+    process.once('SIGINT', onInterrupt);
+    
+    return server;
+    
+  } catch (error) {
+    console.error('API server failed to start:', error.message);
+    process.exit(1);
+  }
+}
+
+function getReplaySpeed(args) {
+  const value = getOptionValue(args, '--speed');
+  if (value === undefined) return undefined;
+  
+  const speed = Number(value);
+  if (isNaN(speed) || speed < 0) {
+    throw new Error(`--speed must be a number of at least 0, got "${value}"`);
+  }
+  return speed;
+}
+
+function getDecisionThreshold(args) {
+  const value = getOptionValue(args, '--decision-threshold');
+  if (value === undefined) return undefined;
+  
+  const threshold = Number(value);
+  if (isNaN(threshold) || threshold <= 0 || threshold > 1) {
+    throw new Error(`--decision-threshold must be a number between 0 and 1, got "${value}"`);
+  }
+  return threshold;
+}
+
+function getCodec(args) {
+  const value = getOptionValue(args, '--codec');
+  if (value === undefined) return undefined;
+  
+  const codecs = ['auto', ...Object.values(CODECS)];
+  if (!codecs.includes(value)) {
+    throw new Error(`--codec must be one of ${codecs.join(', ')}, got "${value}"`);
+  }
+  return value;
+}
+
+function getValidation(args) {
+  const value = getOptionValue(args, '--validation');
+  if (value === undefined) return undefined;
+  
+  if (!['strict', 'lenient'].includes(value)) {
+    throw new Error(`--validation must be strict or lenient, got "${value}"`);
   }
+  return value;
+}
+
+function getPreprocessSteps(args) {
+  const value = getOptionValue(args, '--preprocess-steps');
+  if (value === undefined) return undefined;
+  
+  return AudioPreprocessor.validateSteps(value.split(',').map(step => step.trim()).filter(Boolean));
+}
+
+function parseWorkflowOptions(args) {
+  return {
+    reassemble: args.includes('--reassemble'),
+    acoustic: args.includes('--acoustic'),
+    acousticOnly: args.includes('--acoustic-only'),
+    rulesPath: getOptionValue(args, '--rules'),
+    speechProvider: getOptionValue(args, '--speech-provider'),
+    fixturesDir: getOptionValue(args, '--fixtures-dir'),
+    speechEndpoint: getOptionValue(args, '--speech-endpoint'),
+    recordFixturesDir: getOptionValue(args, '--record-fixtures'),
+    noCache: args.includes('--no-cache'),
+    purgeCache: args.includes('--purge-cache'),
+    resume: args.includes('--resume'),
+    retryFailed: args.includes('--retry-failed'),
+    concurrency: getIntegerOption(args, '--concurrency'),
+    maxAttempts: getIntegerOption(args, '--max-attempts'),
+    rateLimit: getIntegerOption(args, '--rate-limit', 0),
+    analyzeSeconds: getIntegerOption(args, '--analyze-seconds'),
+    webhooksPath: getOptionValue(args, '--webhooks'),
+    codec: getCodec(args),
+    validation: getValidation(args),
+    preprocess: args.includes('--preprocess') || args.includes('--preprocess-steps'),
+    preprocessSteps: getPreprocessSteps(args)
+  };
 }
 
 function parseArguments(args) {
@@ -153,6 +534,80 @@ function parseArguments(args) {
     throw new Error('Cannot use both --folder and --file options');
   }
   
+  if (args.includes('--stream')) {
+    if (folderIndex !== -1 || fileIndex !== -1) {
+      throw new Error('Cannot combine --stream with --folder or --file');
+    }
+    return {
+      mode: 'stream',
+      target: getOptionValue(args, '--stream'),
+      saveResults: args.includes('--save-results'),
+      options: {
+        ...parseWorkflowOptions(args),
+        recognition: args.includes('--stream-recognition'),
+        decisionThreshold: getDecisionThreshold(args),
+        stopOnDecision: args.includes('--stop-on-decision')
+      }
+    };
+  }
+  
+  if (args.includes('--watch')) {
+    if (folderIndex !== -1 || fileIndex !== -1) {
+      throw new Error('Cannot combine --watch with --folder or --file');
+    }
+    const stableSeconds = getIntegerOption(args, '--stable-seconds', 0);
+    return {
+      mode: 'watch',
+      path: getOptionValue(args, '--watch'),
+      options: {
+        ...parseWorkflowOptions(args),
+        stableMs: stableSeconds === undefined ? undefined : stableSeconds * 1000
+      }
+    };
+  }
+  
+  if (args.includes('--serve')) {
+    if (folderIndex !== -1 || fileIndex !== -1) {
+      throw new Error('Cannot combine --serve with --folder or --file');
+    }
+    return {
+      mode: 'serve',
+      options: {
+        ...parseWorkflowOptions(args),
+        port: getIntegerOption(args, '--port', 0),
+        host: getOptionValue(args, '--host')
+      }
+    };
+  }
+  
+  if (args.includes('--simulate')) {
+    if (folderIndex !== -1 || fileIndex !== -1) {
+      throw new Error('Cannot combine --simulate with --folder or --file');
+    }
+    return {
+      mode: 'simulate',
+      path: getOptionValue(args, '--simulate'),
+      saveResults: args.includes('--save-results'),
+      options: {
+        ...parseWorkflowOptions(args),
+        recognition: args.includes('--stream-recognition'),
+        decisionThreshold: getDecisionThreshold(args),
+        speed: getReplaySpeed(args)
+      }
+    };
+  }
+  
+  if (args.includes('--evaluate')) {
+    if (folderIndex !== -1 || fileIndex !== -1) {
+      throw new Error('Cannot combine --evaluate with --folder or --file');
+    }
+    return {
+      mode: 'evaluate',
+      paths: [getOptionValue(args, '--evaluate'), ...getPositionalArgs(args)],
+      saveResults: args.includes('--save-results')
+    };
+  }
+  
   if (folderIndex !== -1) {
     const folderPath = args[folderIndex + 1];
     if (!folderPath) {
@@ -162,7 +617,8 @@ function parseArguments(args) {
       mode: 'folder',
       path: folderPath,
       exportCsv: args.includes('--export-csv'),
-      saveResults: args.includes('--save-results')
+      saveResults: args.includes('--save-results'),
+      options: parseWorkflowOptions(args)
     };
   }
   
@@ -173,23 +629,26 @@ function parseArguments(args) {
     }
     return {
       mode: 'complete-workflow',
-      fileId: fileId
+      fileId: fileId,
+      options: parseWorkflowOptions(args)
     };
   }
   
   // Standard processing mode detection
   const hasStandardFlags = args.some(arg => 
-    arg === '--wav-only' || arg === '--text-only'
+    arg === '--wav-only' || arg === '--text-only' || arg === '--reassemble' || arg === '--preprocess' ||
+    arg === '--no-cache' || arg === '--purge-cache' || VALUE_OPTIONS.includes(arg)
   );
   
-  const hasNonFlagArgs = args.some(arg => 
-    !arg.startsWith('--') && arg !== '--help' && arg !== '-h'
+  const hasNonFlagArgs = getPositionalArgs(args).some(arg => 
+    arg !== '-h'
   );
   
   if (hasStandardFlags || hasNonFlagArgs || args.length === 0) {
     return {
       mode: 'standard',
-      args: args
+      args: args,
+      options: parseWorkflowOptions(args)
     };
   }
   
@@ -208,23 +667,59 @@ async function main() {
   try {
     const config = parseArguments(args);
     
+    if (config.options?.purgeCache) {
+      const removed = await TranscriptionCache.purge();
+      console.log(`Purged ${removed} cached transcriptions`);
+      console.log('');
+    }
+    
+    // Reject a broken webhooks file before any call is processed
+    if (config.options?.webhooksPath) {
+      const webhooks = await WebhookNotifier.loadConfig(config.options.webhooksPath);
+      console.log(`Webhooks: ${webhooks.targets.length} target(s) from ${config.options.webhooksPath}`);
+      console.log('');
+    }
+    
     switch (config.mode) {
       case 'standard':
-        await processStandardWorkflow(config.args);
+        await processStandardWorkflow(config.args, config.options);
         break;
         
       case 'complete-workflow':
-        await processCompleteWorkflowSingle(config.fileId);
+        await processCompleteWorkflowSingle(config.fileId, config.options);
         break;
         
       case 'folder':
-        await processFolderBatchWorkflow(config.path, config.exportCsv, config.saveResults);
+        await processFolderBatchWorkflow(config.path, config.exportCsv, config.saveResults, config.options);
+        break;
+        
+      case 'evaluate':
+        await processEvaluation(config.paths, config.saveResults);
+        break;
+        
+      case 'stream':
+        await processStreamingWorkflow(config.target, config.saveResults, config.options);
+        break;
+        
+      case 'simulate':
+        await processSimulation(config.path, config.saveResults, config.options);
+        break;
+        
+      case 'watch':
+        await processWatch(config.path, config.options);
+        break;
+        
+      case 'serve':
+        await processServe(config.options);
         break;
         
       default:
         throw new Error('Unknown processing mode');
     }
     
+    // Let queued deliveries finish before the process ends (failed single-file runs included)
+    await WebhookNotifier.flush();
+    
   } catch (error) {
     console.error('Error:', error.message);
     console.log('');
@@ -5,9 +5,9 @@ import { AudioProcessor } from '../src/processors/AudioProcessor.js';
 /**
  * Convert binary audio data to WAV format
  */
-async function binaryDataToWav(baseId = '1751421215833') {
+async function binaryDataToWav(baseId = '1751421215833', options = {}) {
   try {
-    const result = await AudioProcessor.processAudio(baseId);
+    const result = await AudioProcessor.processAudio(baseId, options);
     
     console.log('Binary to WAV conversion successful');
     // console.log('WAV file:', result.files.wavFile);
@@ -25,8 +25,9 @@ async function binaryDataToWav(baseId = '1751421215833') {
 
 // Run if executed directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-  const baseId = process.argv[2] || '1751421215833';
-  binaryDataToWav(baseId).catch(console.error);
+  const baseId = process.argv.slice(2).find(arg => !arg.startsWith('--')) || '1751421215833';
+  const reassemble = process.argv.includes('--reassemble');
+  binaryDataToWav(baseId, { reassemble }).catch(console.error);
 }
 
 export { binaryDataToWav }; 
\ No newline at end of file
@@ -1,13 +1,14 @@
 #!/usr/bin/env node
 
 import { SpeechProcessor } from '../src/processors/SpeechProcessor.js';
+import { RuleEngine } from '../src/processors/RuleEngine.js';
 
 /**
  * Convert WAV audio to text transcription
  */
-async function speechToText(baseId = '1751421215833') {
+async function speechToText(baseId = '1751421215833', options = {}) {
   try {
-    const result = await SpeechProcessor.processSpeech(baseId);
+    const result = await SpeechProcessor.processSpeech(baseId, options);
     
     console.log('Speech to text conversion successful');
     // console.log('Text file:', result.files.txtFile);
@@ -19,8 +20,8 @@ async function speechToText(baseId = '1751421215833') {
       console.log('Combined transcript:', result.transcription.transcribeText);
       console.log('Combined confidence:', (result.transcription.transcribeConfidence * 100).toFixed(1) + '%');
       
-      // Simple answering machine detection
-      const isAnsweringMachine = detectAnsweringMachine(result.transcription.transcribeText);
+      // Rule-based answering machine detection
+      const isAnsweringMachine = await detectAnsweringMachine(result.transcription.transcribeText, options.rulesPath);
       console.log('Answering machine detected:', isAnsweringMachine ? 'YES' : 'NO');
     } else {
       console.log('No transcription found - might be silence or noise');
@@ -40,32 +41,11 @@ async function speechToText(baseId = '1751421215833') {
 }
 
 /**
- * Simple answering machine detection based on transcript content
+ * Answering machine detection using the shared rule engine
  */
-function detectAnsweringMachine(transcript) {
-  if (!transcript || typeof transcript !== 'string') {
-    return false;
-  }
-  
-  const text = transcript.toLowerCase();
-  
-  // Japanese answering machine patterns
-  const japanesePatterns = [
-    '留守番電話', '留守電', 'るすでん', '不在',
-    'ただいま', '外出中', '電話に出ることができません',
-    'メッセージ', 'お話しください', 'お名前', 'ご用件'
-  ];
-  
-  // English answering machine patterns
-  const englishPatterns = [
-    'voicemail', 'answering machine', 'leave a message',
-    'not available', 'away from', 'please leave',
-    'after the tone', 'beep', 'recording'
-  ];
-  
-  const allPatterns = [...japanesePatterns, ...englishPatterns];
-  
-  return allPatterns.some(pattern => text.includes(pattern));
+async function detectAnsweringMachine(transcript, rulesPath) {
+  const ruleSet = await RuleEngine.loadRules(rulesPath);
+  return RuleEngine.evaluate(transcript, ruleSet).detected;
 }
 
 // Run if executed directly
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+import http from 'http';
+import { timingSafeEqual } from 'crypto';
+import { WebhookNotifier } from '../src/processors/WebhookNotifier.js';
+
+/**
+ * Local webhook stand-in: verifies signatures and prints received events
+ * Failures can be injected to exercise retries and the dead-letter file
+ */
+function webhookReceiver(options = {}) {
+  const port = options.port || 8099;
+  let failuresLeft = options.failFirst || 0;
+  let received = 0;
+  
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const body = Buffer.concat(chunks).toString('utf8');
+    received++;
+    
+    const timestamp = req.headers['x-amd-timestamp'] || '';
+    const signature = req.headers['x-amd-signature'] || '';
+    const expected = `sha256=${WebhookNotifier.sign(body, timestamp, options.secret || '')}`;
+    const valid = signature.length === expected.length && timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+    
+    if (failuresLeft > 0 || options.status) {
+      const status = failuresLeft > 0 ? 503 : options.status;
+      failuresLeft = Math.max(failuresLeft - 1, 0);
+      console.log(`#${received} ${req.headers['x-amd-event']} -> ${status} (injected failure)`);
+      res.writeHead(status).end();
+      return;
+    }
+    
+    if (options.secret && !valid) {
+      console.log(`#${received} ${req.headers['x-amd-event']} -> 401 (bad signature)`);
+      res.writeHead(401).end();
+      return;
+    }
+    
+    const envelope = JSON.parse(body);
+    const data = envelope.data;
+    const summary = data.baseId
+      ? `${data.baseId}: ${data.success ? `${data.outcome.label} (${data.outcome.score.toFixed(2)})` : `failed (${data.error})`}`
+      : `${data.folderName}: ${data.summary ? `${data.summary.successCount} successful, ${data.summary.failureCount} failed` : data.error}`;
+    console.log(`#${received} ${envelope.event} ${summary} [signature ${options.secret ? 'ok' : 'not checked'}]`);
+    res.writeHead(204).end();
+  });
+  
+  server.listen(port, '127.0.0.1', () => {
+    console.log(`Webhook receiver listening on http://127.0.0.1:${port}`);
+  });
+  return server;
+}
+
+// Run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  const value = name => args.includes(name) ? args[args.indexOf(name) + 1] : undefined;
+  
+  webhookReceiver({
+    port: Number(value('--port')) || undefined,
+    secret: value('--secret'),
+    failFirst: Number(value('--fail-first')) || 0,
+    status: Number(value('--status')) || undefined
+  });
+}
+
+export { webhookReceiver }; 
\ No newline at end of file
@@ -1,3 +1,5 @@
+import { fileURLToPath } from 'url';
+
 /**
  * Configuration for Answering Machine Detection
  * Simple constants and settings management
@@ -18,10 +20,58 @@ export const AUDIO_CONFIG = {
   }
 };
 
+// Payload encodings accepted in _data files; all are decoded to the 16-bit PCM above
+export const CODECS = {
+  PCM16LE: 'pcm16le',
+  PCM16BE: 'pcm16be',
+  MULAW: 'mulaw', // G.711 μ-law
+  ALAW: 'alaw', // G.711 A-law
+  PCM8: 'pcm8' // Unsigned 8-bit
+};
+
+export const DECODING = {
+  CODEC: 'pcm16le', // A CODECS value, or auto to detect it from the payload
+  DETECTION_BYTES: 80000, // Payload examined by auto-detection (5-10s of audio)
+  FRAME_SAMPLES: 160, // Detection compares codecs over 20ms frames
+  MIN_FRAME_RMS: 200, // Quieter frames (silence, line hiss) are left out of detection
+  MIN_ACTIVE_FRAMES: 25, // Frames above the floor a codec needs to be scored (0.5s of sound)
+  MIN_MARGIN: 0.2 // Prediction error another codec must beat pcm16le by
+};
+
 export const PATHS = {
   DATA_DIR: './data',
   OUTPUT_DIR: './output',
-  CREDENTIALS: './credentials/google-speech-api.json'
+  CREDENTIALS: './credentials/google-speech-api.json',
+  RULES: fileURLToPath(new URL('./detection-rules.json', import.meta.url)), // Next to this file, wherever the process starts
+  FIXTURES_DIR: './fixtures',
+  CACHE_DIR: './cache' // Recognition responses keyed by audio content hash
+};
+
+export const SPEECH = {
+  PROVIDER: 'google', // google | fixture | http
+  HTTP_ENDPOINT: 'http://localhost:8090/recognize'
+};
+
+// Failure classes of speech recognition requests
+export const SPEECH_ERRORS = {
+  QUOTA_EXCEEDED: 'quota_exceeded',
+  DEADLINE_EXCEEDED: 'deadline_exceeded',
+  UNAVAILABLE: 'unavailable',
+  INVALID_ARGUMENT: 'invalid_argument',
+  AUTHENTICATION: 'authentication',
+  UNKNOWN: 'unknown'
+};
+
+export const RETRY = {
+  MAX_ATTEMPTS: 4, // Including the first request
+  BASE_DELAY_MS: 500, // Doubled after every failed attempt
+  MAX_DELAY_MS: 8000,
+  JITTER: 0.5, // Share of each delay that is randomized
+  RETRYABLE: [SPEECH_ERRORS.QUOTA_EXCEEDED, SPEECH_ERRORS.DEADLINE_EXCEEDED, SPEECH_ERRORS.UNAVAILABLE]
+};
+
+export const RATE_LIMIT = {
+  REQUESTS_PER_SECOND: 5 // Shared by all calls of a batch (0 disables the limit)
 };
 
 export const WAV_HEADER = {
@@ -30,11 +80,223 @@ export const WAV_HEADER = {
   WAVE_ID: 'WAVE',
   FMT_ID: 'fmt ',
   DATA_ID: 'data',
-  PCM_FORMAT: 1
+  PCM_FORMAT: 1,
+  ALAW_FORMAT: 6,
+  MULAW_FORMAT: 7
+};
+
+export const REASSEMBLY = {
+  FRAME_DURATION_MS: 20,
+  MAX_JITTER_MS: 60, // Late frames within this window are absorbed, not treated as loss
+  
+  get FRAME_SIZE() {
+    return (AUDIO_CONFIG.SAMPLE_RATE * this.FRAME_DURATION_MS / 1000) * AUDIO_CONFIG.BLOCK_ALIGN;
+  }
+};
+
+export const DIAGNOSTICS = {
+  VALIDATION: 'lenient', // lenient flags calls that break a limit, strict fails them
+  ERROR_CLASS: 'invalid_audio', // errorClass of calls failed by strict validation
+  BURST_INTERVAL_MS: 5, // Frames arriving closer than this belong to a burst
+  MIN_BURST_FRAMES: 3,
+  CLIP_LEVEL: 32000, // Below the G.711 maximum (32124 μ-law, 32256 A-law)
+  
+  // Validation limits; null disables a check
+  LIMITS: {
+    MAX_SIZE_MISMATCH_BYTES: 0, // _timeSize total against _data length
+    MAX_NON_MONOTONIC: 0, // Timestamps earlier than the previous entry
+    MAX_GAP_MS: 1000, // Longest stretch without frames
+    MAX_BURST_FRAMES: 50, // Largest number of frames arriving at once (1s of audio)
+    MAX_ODD_FRAME_RATIO: 0.05, // Entries whose size is not one 20ms frame
+    MAX_CLIPPING_RATIO: 0.01,
+    MIN_SPEECH_LEVEL_DBFS: -45, // RMS of speech frames
+    MIN_SNR_DB: 6,
+    MAX_SILENCE_RATIO: null // Silent calls are a valid outcome
+  }
+};
+
+export const PREPROCESSING = {
+  STEPS: ['dc', 'highpass', 'declip', 'trim', 'rms'], // Default chain, applied in this order
+  HIGHPASS_HZ: 100, // Hum and rumble below the telephone band
+  CLIP_LEVEL_RATIO: 0.99, // Samples this close to the file peak may be clipped
+  MIN_CLIP_RUN: 3, // Consecutive samples at the peak; single peaks are not clipping
+  MIN_CLIP_PEAK: 8000, // Quieter files are never treated as clipped
+  TRIM_PADDING_MS: 250, // Audio kept around the first and last speech
+  TARGET_PEAK_DBFS: -1,
+  TARGET_RMS_DBFS: -20, // Measured over speech frames only
+  MAX_GAIN_DB: 24 // Line noise is not amplified beyond this
+};
+
+export const SEGMENTATION = {
+  MAX_SEGMENT_MS: 55000, // Synchronous recognition accepts about one minute of audio
+  SEARCH_WINDOW_MS: 15000, // Look for a pause this far before the segment limit
+  MIN_PAUSE_MS: 200 // Shorter gaps are only used when there is no better cut
+};
+
+export const ACOUSTIC = {
+  FRAME_DURATION_MS: 20,
+  ANALYSIS_WINDOW_MS: 5000, // Only the first seconds matter for the greeting
+  MIN_SPEECH_RMS: 200, // Absolute floor so line noise is never treated as speech
+  NOISE_FLOOR_PERCENTILE: 0.1,
+  NOISE_FLOOR_MULTIPLIER: 3,
+  MIN_SPEECH_MS: 60, // Shorter bursts are clicks, not speech
+  MIN_PAUSE_MS: 200, // Shorter gaps are bridged as part of the same utterance
+  GREETING_GAP_MS: 600, // A gap this long ends the greeting
+  HUMAN_MAX_GREETING_MS: 1800,
+  HUMAN_MIN_SILENCE_AFTER_GREETING_MS: 800,
+  MACHINE_MIN_GREETING_MS: 2500
+};
+
+export const BEEP = {
+  FRAME_DURATION_MS: 20,
+  MIN_FREQUENCY: 400,
+  MAX_FREQUENCY: 2500,
+  FREQUENCY_STEP: 25, // Candidate spacing for the per-frame Goertzel scan
+  MIN_PURITY: 0.7, // Share of frame energy at the peak frequency (1.0 = pure sine)
+  MIN_RMS: 300,
+  MAX_FREQUENCY_DRIFT: 50, // Hz between consecutive frames of the same tone
+  MIN_DURATION_MS: 150,
+  MAX_DURATION_MS: 2500,
+  CALL_PROGRESS_FREQUENCIES: [400, 425, 440, 480], // Ringback, busy and dial tones are never a beep
+  CALL_PROGRESS_TOLERANCE_HZ: 15,
+  ISOLATION_MS: 5000 // A beep plays once: no burst of the same frequency this close before or after
+};
+
+// Fax/modem, SIT and call-progress tone signatures (frequencies in Hz, durations in ms)
+export const CALL_TONES = {
+  FRAME_DURATION_MS: 50, // 20Hz resolution keeps 400, 425 and 440Hz apart
+  MIN_RMS: 200,
+  MIN_PURITY: 0.6, // Share of frame energy in the tone's components
+  MAX_GAP_MS: 50, // Dropouts this short inside a tone are bridged
+  
+  // Tones scanned in every frame; the components of dual tones are summed
+  TONES: {
+    PROGRESS_400: [400], // Japan ringback and busy
+    PROGRESS_425: [425], // Europe (ITU-T E.180)
+    RINGBACK_US: [440, 480],
+    BUSY_US: [480, 620],
+    FAX_CNG: [1100], // Calling fax
+    ANSWER_2100: [2100], // Fax CED / V.25 modem answer
+    ANSWER_2225: [2225], // Bell 103 modem answer
+    SIT_LOW_A: [914],
+    SIT_LOW_B: [985],
+    SIT_MID_A: [1371],
+    SIT_MID_B: [1429],
+    SIT_HIGH: [1777]
+  },
+  
+  FAX_CNG: { MIN_MS: 350, MAX_MS: 800, MIN_BURSTS: 2 }, // 0.5s on, 3s off; one burst could be a beep
+  ANSWER: { MIN_MS: 1000, TONES: ['ANSWER_2100', 'ANSWER_2225'] }, // 2.6-4s in practice
+  SIT: {
+    MIN_MS: 200, // Segments are 274 or 380ms
+    MAX_MS: 450,
+    MAX_GAP_MS: 100,
+    STEPS: [['SIT_LOW_A', 'SIT_LOW_B'], ['SIT_MID_A', 'SIT_MID_B'], ['SIT_HIGH']]
+  },
+  
+  CADENCES: [
+    { type: 'ringback', region: 'jp', tone: 'PROGRESS_400', onMs: 1000, offMs: 2000 },
+    { type: 'busy', region: 'jp', tone: 'PROGRESS_400', onMs: 500, offMs: 500 },
+    { type: 'ringback', region: 'us', tone: 'RINGBACK_US', onMs: 2000, offMs: 4000 },
+    { type: 'busy', region: 'us', tone: 'BUSY_US', onMs: 500, offMs: 500 },
+    { type: 'ringback', region: 'eu', tone: 'PROGRESS_425', onMs: 1000, offMs: 4000 },
+    { type: 'busy', region: 'eu', tone: 'PROGRESS_425', onMs: 500, offMs: 500 }
+  ],
+  CADENCE_TOLERANCE: 0.25, // Relative on/off duration error
+  MIN_CADENCE_CYCLES: 2, // On periods needed to report ringback or busy
+  PENDING_MS: 5000 // Unexplained tones this recent hold early decisions (longest off period plus tolerance)
+};
+
+export const DTMF = {
+  FRAME_DURATION_MS: 20,
+  FRAME_STEP_MS: 10, // Overlapping frames so a 40ms digit always fills some frames
+  LOW_FREQUENCIES: [697, 770, 852, 941], // Keypad rows
+  HIGH_FREQUENCIES: [1209, 1336, 1477, 1633], // Keypad columns
+  KEYS: ['123A', '456B', '789C', '*0#D'], // KEYS[row][column]
+  MIN_RMS: 200,
+  MIN_PURITY: 0.7, // Share of frame energy in the two tones (speech stays well below)
+  MIN_PEAK_RATIO: 4, // Winning tone power over the runner-up of its group
+  MAX_TWIST_DB: 8, // Level difference between the two tones
+  MIN_DURATION_MS: 40, // ITU-T Q.24 minimum digit length
+  MAX_GAP_MS: 20 // Dropouts this short inside a digit are bridged
+};
+
+// Speech timing derived from recognized word offsets (times from the answer, i.e. the end of ringback)
+export const WORD_TIMING = {
+  MAX_PAUSE_MS: 300, // Longer gaps between words end an utterance
+  MATCH_TOLERANCE: 0.3, // Edits per character allowed when locating a fired rule's text among the words
+  HUMAN_MAX_FIRST_WORD_MS: 1000, // People answer within about a second
+  HUMAN_MAX_SPEECH_MS: 1800, // ... and say little before waiting for the caller
+  HUMAN_MAX_WORDS: 5,
+  MACHINE_MIN_UTTERANCE_MS: 2500, // Long uninterrupted greeting
+  MACHINE_MIN_WORDS_PER_SECOND: 2, // ... spoken fluently
+  MACHINE_MIN_PHRASE_DELAY_MS: 1000 // A voicemail phrase this far into an utterance follows a recorded lead-in
+};
+
+export const STREAMING = {
+  POLL_INTERVAL_MS: 100, // How often the growing files are checked
+  EVALUATION_INTERVAL_MS: 200, // Re-evaluate after this much new call audio
+  IDLE_TIMEOUT_MS: 5000, // The call is over when the files stop growing this long
+  DECISION_THRESHOLD: 0.6, // Outcome score needed for an early decision
+  MAX_ANALYSIS_MS: 30000, // No re-evaluation past this point of the call
+  REPLAY_SPEED: 1 // Simulation pace (1 = real time, 0 = as fast as possible)
+};
+
+export const CALL_OUTCOMES = {
+  HUMAN: 'human',
+  ANSWERING_MACHINE: 'answering_machine',
+  CARRIER_ANNOUNCEMENT: 'carrier_announcement',
+  FAX_MODEM: 'fax_modem',
+  SPECIAL_INFORMATION_TONE: 'special_information_tone',
+  SILENCE: 'silence',
+  UNKNOWN: 'unknown'
+};
+
+// Progress of a call in the batch manifest (also used for API jobs)
+export const CALL_STATUS = {
+  PENDING: 'pending',
+  IN_PROGRESS: 'in_progress',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+export const OUTCOME_SCORING = {
+  TRANSCRIPT_MATCH: 0.8, // Answering machine phrase found in transcript
+  TRANSCRIPT_NO_MATCH: 0.6, // Speech transcribed but no machine phrase
+  BEEP: 0.95,
+  CARRIER_ANNOUNCEMENT: 0.9,
+  FAX_TONE: 0.95, // CNG or modem answer tone
+  SIT: 0.95,
+  ACOUSTIC_WEIGHT: 0.8, // Scales acoustic verdict confidence
+  WORD_TIMING_WEIGHT: 0.8, // Scales word timing verdict confidence
+  MIN_SCORE: 0.5 // Below this the outcome is unknown
+};
+
+export const WATCH = {
+  POLL_INTERVAL_MS: 5000, // How often the watched directory is scanned
+  STABLE_MS: 10000, // Both files must be unchanged this long before a call is processed
+  DATE_FOLDER_PATTERN: /^\d{8}$/ // Day folders (YYYYMMDD) below the watched directory
+};
+
+export const WEBHOOK = {
+  TIMEOUT_MS: 10000, // Per delivery attempt
+  MAX_ATTEMPTS: 5, // Transient failures (5xx, 429, timeouts) are retried with RETRY backoff
+  DEAD_LETTER_FILE: './output/webhook-dead-letter.jsonl', // Undeliverable events, one JSON per line
+  EVENTS: ['call.completed', 'call.failed', 'batch.completed']
+};
+
+export const API = {
+  HOST: '127.0.0.1', // Local only unless --host is given
+  PORT: 8080,
+  JOBS_DIR: './output/api', // One folder per job: uploaded pair, WAV, transcript and result
+  MAX_TIMING_SIZE: 4 * 1024 * 1024, // _timeSize text allowed in JSON uploads (about 12 bytes per frame)
+  MAX_WAV_HEADER_SIZE: 64 * 1024, // WAV chunks allowed before the audio data
+  MAX_FINISHED_JOBS: 1000 // Finished jobs kept in memory; older ones are forgotten (their files stay)
 };
 
 export const PROCESSING = {
   MAX_FILE_SIZE: 50 * 1024 * 1024, // 50MB
   TIMEOUT_MS: 30000,
-  ENCODING: 'binary'
+  ENCODING: 'binary',
+  CONCURRENCY: 1 // Calls processed in parallel in folder mode
 }; 
\ No newline at end of file
@@ -0,0 +1,112 @@
+/**
+ * Carrier Network Announcements
+ * Templates of Japanese operator announcements matched against transcripts
+ */
+
+export const ANNOUNCEMENT_TYPES = {
+  UNREACHABLE: 'unreachable',
+  NOT_IN_SERVICE: 'not_in_service',
+  CALL_BARRED: 'call_barred',
+  BUSY: 'busy'
+};
+
+export const CARRIERS = {
+  NTT: 'ntt',
+  DOCOMO: 'docomo',
+  AU: 'au',
+  SOFTBANK: 'softbank',
+  RAKUTEN: 'rakuten',
+  UNKNOWN: 'unknown'
+};
+
+// Explicit carrier names spoken in the announcement take precedence over template wording
+export const CARRIER_MARKERS = {
+  [CARRIERS.NTT]: ['NTT', 'エヌティティ', 'エヌ・ティ・ティ'],
+  [CARRIERS.DOCOMO]: ['ドコモ', 'docomo'],
+  [CARRIERS.AU]: ['au', 'エーユー', 'KDDI'],
+  [CARRIERS.SOFTBANK]: ['ソフトバンク', 'softbank'],
+  [CARRIERS.RAKUTEN]: ['楽天モバイル', 'rakuten']
+};
+
+// Patterns are compared after TextNormalizer normalization (kana folding, readings, no punctuation)
+export const CARRIER_ANNOUNCEMENTS = [
+  // Unreachable: phone switched off or out of coverage
+  {
+    id: 'au-unreachable',
+    carrier: CARRIERS.AU,
+    type: ANNOUNCEMENT_TYPES.UNREACHABLE,
+    patterns: ['電波の届かない場所におられるか']
+  },
+  {
+    id: 'mobile-unreachable',
+    carrier: CARRIERS.UNKNOWN,
+    type: ANNOUNCEMENT_TYPES.UNREACHABLE,
+    patterns: ['電波の届かない場所にあるか', '電源が入っていないためかかりません', '電源が入っていないため', '電波の届かない']
+  },
+  {
+    id: 'au-no-answer',
+    carrier: CARRIERS.AU,
+    type: ANNOUNCEMENT_TYPES.UNREACHABLE,
+    patterns: ['おかけになった電話をお呼びしましたがお出になりません']
+  },
+  {
+    id: 'softbank-no-answer',
+    carrier: CARRIERS.SOFTBANK,
+    type: ANNOUNCEMENT_TYPES.UNREACHABLE,
+    patterns: ['お呼びしましたがお出になりません']
+  },
+
+  // Number not in service
+  {
+    id: 'ntt-not-in-service',
+    carrier: CARRIERS.NTT,
+    type: ANNOUNCEMENT_TYPES.NOT_IN_SERVICE,
+    patterns: ['おかけになった電話番号は現在使われておりません', '番号をお確かめになって']
+  },
+  {
+    id: 'not-in-service',
+    carrier: CARRIERS.UNKNOWN,
+    type: ANNOUNCEMENT_TYPES.NOT_IN_SERVICE,
+    patterns: ['この電話番号は現在使われておりません', '現在使われておりません', '使われておりません']
+  },
+  {
+    id: 'docomo-suspended',
+    carrier: CARRIERS.DOCOMO,
+    type: ANNOUNCEMENT_TYPES.NOT_IN_SERVICE,
+    patterns: ['お客様のご都合により通話ができなくなっております']
+  },
+
+  // Call barred: caller ID required, call rejected or restricted by the callee
+  {
+    id: 'caller-id-required',
+    carrier: CARRIERS.UNKNOWN,
+    type: ANNOUNCEMENT_TYPES.CALL_BARRED,
+    patterns: ['電話番号の前に186をつけて', '発信者番号を通知して', 'あなたの電話番号を通知して']
+  },
+  {
+    id: 'call-rejected',
+    carrier: CARRIERS.UNKNOWN,
+    type: ANNOUNCEMENT_TYPES.CALL_BARRED,
+    patterns: ['お客様のご希望によりおつなぎできません', 'おつなぎできません', 'お受けできません']
+  },
+  {
+    id: 'rakuten-call-barred',
+    carrier: CARRIERS.RAKUTEN,
+    type: ANNOUNCEMENT_TYPES.CALL_BARRED,
+    patterns: ['ご契約の内容によりおつなぎできません']
+  },
+
+  // Busy or congested network
+  {
+    id: 'ntt-busy',
+    carrier: CARRIERS.NTT,
+    type: ANNOUNCEMENT_TYPES.BUSY,
+    patterns: ['ただいま電話が大変混み合っております', '大変混み合っております', '混み合っております']
+  },
+  {
+    id: 'busy',
+    carrier: CARRIERS.UNKNOWN,
+    type: ANNOUNCEMENT_TYPES.BUSY,
+    patterns: ['ただいま通話中です', 'お話し中です', '通話中のため']
+  }
+]; 
\ No newline at end of file
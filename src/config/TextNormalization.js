@@ -0,0 +1,51 @@
+/**
+ * Text Normalization Settings
+ * Defaults and reading table used before matching transcripts against patterns
+ */
+
+export const NORMALIZATION_DEFAULTS = {
+  nfkc: true, // Full-width/half-width folding
+  lowercase: true,
+  kanaFolding: true, // Katakana → hiragana
+  stripPunctuation: true, // Punctuation, symbols and whitespace
+  readings: true // Replace pattern vocabulary kanji with their reading
+};
+
+export const FUZZY_DEFAULTS = {
+  tolerance: 0.2, // Allowed edits as a share of the pattern length
+  minLength: 4 // Shorter patterns only match exactly
+};
+
+// Kanji spellings of detection vocabulary mapped to their hiragana reading so that
+// ASR output written in kana ("るすばん") matches kanji patterns ("留守番") and vice versa.
+// Longer entries are applied first.
+export const KANJI_READINGS = {
+  '留守番電話': 'るすばんでんわ',
+  '留守番': 'るすばん',
+  '留守電': 'るすでん',
+  '留守': 'るす',
+  '電話': 'でんわ',
+  '伝言': 'でんごん',
+  '発信音': 'はっしんおん',
+  '只今': 'ただいま',
+  '唯今': 'ただいま',
+  '外出中': 'がいしゅつちゅう',
+  '不在': 'ふざい',
+  '御用件': 'ごようけん',
+  'ご用件': 'ごようけん',
+  '用件': 'ようけん',
+  'お名前': 'おなまえ',
+  '名前': 'なまえ',
+  '後ほど': 'のちほど',
+  '掛け直し': 'かけなおし',
+  'かけ直し': 'かけなおし',
+  'お話し': 'おはなし',
+  'お話': 'おはなし',
+  '下さい': 'ください',
+  '出来ません': 'できません',
+  '電波': 'でんぱ',
+  '電源': 'でんげん',
+  '番号': 'ばんごう',
+  '現在': 'げんざい',
+  '使われて': 'つかわれて'
+}; 
\ No newline at end of file
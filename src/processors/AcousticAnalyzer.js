@@ -0,0 +1,191 @@
+import { AudioProcessor } from './AudioProcessor.js';
+import { AUDIO_CONFIG, ACOUSTIC } from '../config/AudioConfig.js';
+
+/**
+ * Acoustic Analyzer
+ * Detects answering machines from the PCM signal alone (no speech-to-text)
+ */
+export class AcousticAnalyzer {
+
+  /**
+   * Computes RMS energy for consecutive fixed-size frames
+   * @param {Int16Array} samples - Audio samples
+   * @param {number} frameSamples - Samples per frame
+   * @param {number} fromFrame - First frame to compute (earlier frames were computed before)
+   * @returns {Array<number>} RMS value per frame from fromFrame
+   */
+  static computeFrameEnergies(samples, frameSamples, fromFrame = 0) {
+    const energies = [];
+    
+    for (let start = fromFrame * frameSamples; start + frameSamples <= samples.length; start += frameSamples) {
+      let sumSquares = 0;
+      for (let i = start; i < start + frameSamples; i++) {
+        sumSquares += samples[i] * samples[i];
+      }
+      energies.push(Math.sqrt(sumSquares / frameSamples));
+    }
+    
+    return energies;
+  }
+
+  /**
+   * Estimates the background noise level from the quietest frames
+   * @param {Array<number>} energies - Frame RMS values
+   * @returns {number} Noise floor RMS
+   */
+  static estimateNoiseFloor(energies) {
+    if (!energies.length) return 0;
+    
+    const sorted = [...energies].sort((a, b) => a - b);
+    return sorted[Math.floor((sorted.length - 1) * ACOUSTIC.NOISE_FLOOR_PERCENTILE)];
+  }
+
+  /**
+   * Energy-based voice activity detection
+   * @param {Array<number>} energies - Frame RMS values
+   * @param {number} threshold - Speech RMS threshold
+   * @returns {Array} Speech segments as {startMs, endMs}
+   */
+  static detectVoiceActivity(energies, threshold) {
+    const frameMs = ACOUSTIC.FRAME_DURATION_MS;
+    const segments = [];
+    let segmentStart = null;
+    
+    energies.forEach((energy, index) => {
+      if (energy >= threshold && segmentStart === null) {
+        segmentStart = index;
+      } else if (energy < threshold && segmentStart !== null) {
+        segments.push({ startMs: segmentStart * frameMs, endMs: index * frameMs });
+        segmentStart = null;
+      }
+    });
+    
+    if (segmentStart !== null) {
+      segments.push({ startMs: segmentStart * frameMs, endMs: energies.length * frameMs });
+    }
+    
+    // Bridge short pauses, then drop clicks
+    const merged = [];
+    for (const segment of segments) {
+      const last = merged[merged.length - 1];
+      if (last && segment.startMs - last.endMs < ACOUSTIC.MIN_PAUSE_MS) {
+        last.endMs = segment.endMs;
+      } else {
+        merged.push({ ...segment });
+      }
+    }
+    
+    return merged.filter(segment => segment.endMs - segment.startMs >= ACOUSTIC.MIN_SPEECH_MS);
+  }
+
+  /**
+   * Extracts greeting features from speech segments
+   * @param {Array} segments - Speech segments within the analysis window
+   * @param {number} windowMs - Analysed duration in milliseconds
+   * @returns {Object} Feature set
+   */
+  static extractFeatures(segments, windowMs) {
+    const speechMs = segments.reduce((sum, s) => sum + (s.endMs - s.startMs), 0);
+    
+    if (!segments.length) {
+      return {
+        initialSilenceMs: windowMs,
+        greetingMs: 0,
+        silenceAfterGreetingMs: 0,
+        pauseCount: 0,
+        segmentCount: 0,
+        speechMs: 0,
+        speechRatio: 0
+      };
+    }
+    
+    // The greeting runs until the first gap long enough to wait for a reply
+    let greetingEnd = segments[0].endMs;
+    let nextStart = windowMs;
+    for (let i = 1; i < segments.length; i++) {
+      if (segments[i].startMs - greetingEnd >= ACOUSTIC.GREETING_GAP_MS) {
+        nextStart = segments[i].startMs;
+        break;
+      }
+      greetingEnd = segments[i].endMs;
+    }
+    
+    return {
+      initialSilenceMs: segments[0].startMs,
+      greetingMs: greetingEnd - segments[0].startMs,
+      silenceAfterGreetingMs: Math.max(0, nextStart - greetingEnd),
+      pauseCount: segments.length - 1,
+      segmentCount: segments.length,
+      speechMs,
+      speechRatio: windowMs > 0 ? speechMs / windowMs : 0
+    };
+  }
+
+  /**
+   * Derives a verdict from greeting features
+   * @param {Object} features - Result of extractFeatures
+   * @returns {Object} Verdict {label, detected, confidence}
+   */
+  static classify(features) {
+    if (features.segmentCount === 0) {
+      return { label: 'silence', detected: false, confidence: 0.9 };
+    }
+    
+    // Long continuous greeting: typical recorded announcement
+    if (features.greetingMs >= ACOUSTIC.MACHINE_MIN_GREETING_MS) {
+      const excess = (features.greetingMs - ACOUSTIC.MACHINE_MIN_GREETING_MS) / ACOUSTIC.MACHINE_MIN_GREETING_MS;
+      return { label: 'machine', detected: true, confidence: Math.min(0.95, 0.7 + excess * 0.5) };
+    }
+    
+    // Short "もしもし" followed by silence while waiting for the caller
+    if (features.greetingMs <= ACOUSTIC.HUMAN_MAX_GREETING_MS &&
+        features.silenceAfterGreetingMs >= ACOUSTIC.HUMAN_MIN_SILENCE_AFTER_GREETING_MS) {
+      const shortness = 1 - features.greetingMs / ACOUSTIC.HUMAN_MAX_GREETING_MS;
+      return { label: 'human', detected: false, confidence: Math.min(0.9, 0.65 + shortness * 0.25) };
+    }
+    
+    return { label: 'unknown', detected: null, confidence: 0 };
+  }
+
+  /**
+   * Analyzes a PCM buffer for answering machine characteristics
+   * @param {Buffer} pcm - 16-bit little-endian PCM audio
+   * @param {Object} options - { windowMs }
+   * @returns {Object} Analysis result with verdict, features and segments
+   */
+  static analyze(pcm, options = {}) {
+    const frameSamples = AUDIO_CONFIG.SAMPLE_RATE * ACOUSTIC.FRAME_DURATION_MS / 1000;
+    const samples = AudioProcessor.toSamples(pcm);
+    return this.analyzeEnergies(this.computeFrameEnergies(samples, frameSamples), options);
+  }
+
+  /**
+   * Analyzes frame energies for answering machine characteristics
+   * @param {Array<number>} energies - Result from computeFrameEnergies with ACOUSTIC.FRAME_DURATION_MS frames
+   * @param {Object} options - { windowMs }
+   * @returns {Object} Analysis result with verdict, features and segments
+   */
+  static analyzeEnergies(energies, options = {}) {
+    const durationMs = energies.length * ACOUSTIC.FRAME_DURATION_MS;
+    const windowMs = Math.min(options.windowMs || ACOUSTIC.ANALYSIS_WINDOW_MS, durationMs);
+    const windowEnergies = energies.slice(0, windowMs / ACOUSTIC.FRAME_DURATION_MS);
+    
+    const noiseFloorRms = this.estimateNoiseFloor(windowEnergies);
+    const threshold = Math.max(ACOUSTIC.MIN_SPEECH_RMS, noiseFloorRms * ACOUSTIC.NOISE_FLOOR_MULTIPLIER);
+    const segments = this.detectVoiceActivity(windowEnergies, threshold);
+    
+    const features = {
+      ...this.extractFeatures(segments, windowMs),
+      durationMs,
+      windowMs,
+      noiseFloorRms: Math.round(noiseFloorRms),
+      threshold: Math.round(threshold)
+    };
+    
+    return {
+      verdict: this.classify(features),
+      features,
+      segments
+    };
+  }
+} 
\ No newline at end of file
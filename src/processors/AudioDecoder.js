@@ -0,0 +1,272 @@
+import { AUDIO_CONFIG, CODECS, DECODING } from '../config/AudioConfig.js';
+
+// Payload bytes per sample of each codec
+const BYTES_PER_SAMPLE = {
+  [CODECS.PCM16LE]: 2,
+  [CODECS.PCM16BE]: 2,
+  [CODECS.MULAW]: 1,
+  [CODECS.ALAW]: 1,
+  [CODECS.PCM8]: 1
+};
+
+// Detection tie-break order: most common trunk formats first
+const DETECTION_ORDER = [CODECS.PCM16LE, CODECS.MULAW, CODECS.ALAW, CODECS.PCM16BE, CODECS.PCM8];
+
+/**
+ * Builds the 256-entry lookup table of a G.711 companding law
+ * @param {Function} expand - Maps a code byte to a linear sample
+ * @returns {Int16Array} Linear sample per code byte
+ */
+function buildTable(expand) {
+  const table = new Int16Array(256);
+  for (let code = 0; code < 256; code++) {
+    table[code] = expand(code);
+  }
+  return table;
+}
+
+// ITU-T G.711 μ-law: bits are inverted on the wire, bias of 0x84
+const MULAW_TABLE = buildTable(code => {
+  const value = ~code & 0xFF;
+  const exponent = (value >> 4) & 0x07;
+  const magnitude = ((((value & 0x0F) << 3) + 0x84) << exponent) - 0x84;
+  return value & 0x80 ? -magnitude : magnitude;
+});
+
+// ITU-T G.711 A-law: even bits are inverted on the wire, sign bit set means positive
+const ALAW_TABLE = buildTable(code => {
+  const value = code ^ 0x55;
+  const exponent = (value >> 4) & 0x07;
+  const mantissa = value & 0x0F;
+  const magnitude = exponent === 0
+    ? (mantissa << 4) + 8
+    : ((mantissa << 4) + 0x108) << (exponent - 1);
+  return value & 0x80 ? magnitude : -magnitude;
+});
+
+/**
+ * Audio Decoder
+ * Converts _data payloads in the supported codecs to 16-bit little-endian PCM
+ */
+export class AudioDecoder {
+
+  /**
+   * Lists the codec names accepted by decode
+   * @returns {Array<string>} Codec names
+   */
+  static getCodecs() {
+    return Object.values(CODECS);
+  }
+
+  /**
+   * Gets the payload bytes per sample of a codec
+   * @param {string} codec - Codec name
+   * @returns {number} Bytes per sample
+   */
+  static getBytesPerSample(codec) {
+    const bytesPerSample = BYTES_PER_SAMPLE[codec];
+    if (!bytesPerSample) {
+      throw new Error(`Unknown codec "${codec}" (use ${this.getCodecs().join(', ')})`);
+    }
+    return bytesPerSample;
+  }
+
+  /**
+   * Gets the format of decoded audio, used for WAV headers and recognition config
+   * @returns {Object} { sampleRate, channels, bitsPerSample }
+   */
+  static getOutputFormat() {
+    return {
+      sampleRate: AUDIO_CONFIG.SAMPLE_RATE,
+      channels: AUDIO_CONFIG.CHANNELS,
+      bitsPerSample: 16
+    };
+  }
+
+  /**
+   * Decodes a payload to 16-bit little-endian PCM
+   * @param {Buffer} buffer - Payload bytes
+   * @param {string} codec - Codec name
+   * @returns {Buffer} PCM audio (a trailing partial sample is dropped)
+   */
+  static decode(buffer, codec) {
+    switch (codec) {
+      case CODECS.PCM16LE:
+        return buffer.subarray(0, buffer.length & ~1);
+      case CODECS.PCM16BE:
+        return this.decodePcm16be(buffer);
+      case CODECS.MULAW:
+        return this.decodeTable(buffer, MULAW_TABLE);
+      case CODECS.ALAW:
+        return this.decodeTable(buffer, ALAW_TABLE);
+      case CODECS.PCM8:
+        return this.decodePcm8(buffer);
+      default:
+        throw new Error(`Unknown codec "${codec}" (use ${this.getCodecs().join(', ')})`);
+    }
+  }
+
+  /**
+   * Expands companded bytes through a lookup table
+   * @param {Buffer} buffer - G.711 bytes
+   * @param {Int16Array} table - Companding table
+   * @returns {Buffer} PCM audio
+   */
+  static decodeTable(buffer, table) {
+    const output = Buffer.alloc(buffer.length * 2);
+    for (let i = 0; i < buffer.length; i++) {
+      output.writeInt16LE(table[buffer[i]], i * 2);
+    }
+    return output;
+  }
+
+  /**
+   * Swaps big-endian samples to little-endian
+   * @param {Buffer} buffer - 16-bit big-endian PCM
+   * @returns {Buffer} PCM audio
+   */
+  static decodePcm16be(buffer) {
+    const output = Buffer.from(buffer.subarray(0, buffer.length & ~1));
+    return output.swap16();
+  }
+
+  /**
+   * Widens unsigned 8-bit samples (silence at 128) to 16 bits
+   * @param {Buffer} buffer - Unsigned 8-bit PCM
+   * @returns {Buffer} PCM audio
+   */
+  static decodePcm8(buffer) {
+    const output = Buffer.alloc(buffer.length * 2);
+    for (let i = 0; i < buffer.length; i++) {
+      output.writeInt16LE((buffer[i] - 128) << 8, i * 2);
+    }
+    return output;
+  }
+
+  /**
+   * Measures how noise-like decoded audio is: the error left by the best
+   * second-order linear predictor, relative to the signal variance. Speech and
+   * tones of any frequency are largely predictable from the previous two
+   * samples, while bytes decoded with the wrong codec look like white noise
+   * (close to 1).
+   * @param {Buffer} pcm - PCM audio
+   * @returns {number|null} Prediction error between 0 and 1, or null for a constant signal
+   */
+  static getRoughness(pcm) {
+    const count = Math.floor(pcm.length / 2);
+    if (count < 3) return null;
+    
+    let sum = 0;
+    for (let i = 0; i < count; i++) {
+      sum += pcm.readInt16LE(i * 2);
+    }
+    const mean = sum / count;
+    
+    // Autocorrelation at lags 0-2
+    let r0 = 0;
+    let r1 = 0;
+    let r2 = 0;
+    let previous = 0;
+    let beforePrevious = 0;
+    for (let i = 0; i < count; i++) {
+      const sample = pcm.readInt16LE(i * 2) - mean;
+      r0 += sample * sample;
+      if (i >= 1) r1 += sample * previous;
+      if (i >= 2) r2 += sample * beforePrevious;
+      beforePrevious = previous;
+      previous = sample;
+    }
+    if (r0 === 0) return null;
+    
+    // Levinson-Durbin recursion to order 2
+    const k1 = r1 / r0;
+    const error1 = 1 - k1 * k1;
+    const k2 = error1 > 0 ? (r2 / r0 - k1 * k1) / error1 : 0;
+    return Math.max(0, error1 * (1 - k2 * k2));
+  }
+
+  /**
+   * Collects the frames of decoded audio loud enough to tell codecs apart
+   * @param {Buffer} pcm - PCM audio
+   * @returns {Array<Buffer>} Frames at or above DECODING.MIN_FRAME_RMS
+   */
+  static getActiveFrames(pcm) {
+    const frameBytes = DECODING.FRAME_SAMPLES * 2;
+    const frames = [];
+    
+    for (let start = 0; start + frameBytes <= pcm.length; start += frameBytes) {
+      let energy = 0;
+      for (let i = start; i < start + frameBytes; i += 2) {
+        const sample = pcm.readInt16LE(i);
+        energy += sample * sample;
+      }
+      if (Math.sqrt(energy / DECODING.FRAME_SAMPLES) >= DECODING.MIN_FRAME_RMS) {
+        frames.push(pcm.subarray(start, start + frameBytes));
+      }
+    }
+    
+    return frames;
+  }
+
+  /**
+   * Guesses the codec of a payload by decoding its beginning with every codec
+   * and comparing how predictable the audible frames are. Quiet frames are left
+   * out: near-silent 16-bit audio read as another codec can look more regular
+   * than the hiss it really is.
+   * @param {Buffer} buffer - Payload bytes
+   * @returns {Object} { codec, scores, settled } (pcm16le unless another codec is clearly
+   *   better; settled once every codec could be scored or the whole sample was examined)
+   */
+  static detectCodec(buffer) {
+    const sample = buffer.subarray(0, DECODING.DETECTION_BYTES);
+    const scores = {};
+    
+    for (const candidate of DETECTION_ORDER) {
+      const frames = this.getActiveFrames(this.decode(sample, candidate));
+      const roughness = frames.length >= DECODING.MIN_ACTIVE_FRAMES ? this.getRoughness(Buffer.concat(frames)) : null;
+      scores[candidate] = roughness === null ? null : Number(roughness.toFixed(3));
+    }
+    
+    // Another codec has to beat pcm16le by a clear margin, and pcm16le must have had sound to judge
+    const baseline = scores[CODECS.PCM16LE];
+    let codec = CODECS.PCM16LE;
+    if (baseline !== null) {
+      for (const candidate of DETECTION_ORDER) {
+        const score = scores[candidate];
+        if (score !== null && score <= baseline - DECODING.MIN_MARGIN && score < scores[codec]) {
+          codec = candidate;
+        }
+      }
+    }
+    
+    const settled = sample.length >= DECODING.DETECTION_BYTES || Object.values(scores).every(score => score !== null);
+    return { codec, scores, settled };
+  }
+
+  /**
+   * Resolves the codec of a payload, detecting it when not specified
+   * @param {Buffer} buffer - Payload bytes (only the beginning is examined)
+   * @param {string} codec - Codec name, or auto (DECODING.CODEC when unset)
+   * @returns {Object} { codec, detected, scores, settled }
+   */
+  static resolveCodec(buffer, codec) {
+    const requested = codec || DECODING.CODEC;
+    if (requested !== 'auto') {
+      this.getBytesPerSample(requested);
+      return { codec: requested, detected: false, scores: null, settled: true };
+    }
+    return { ...this.detectCodec(buffer), detected: true };
+  }
+
+  /**
+   * Converts timing entry sizes from payload bytes to decoded PCM bytes
+   * @param {Array} timingEntries - Parsed timing entries
+   * @param {string} codec - Codec of the payload
+   * @returns {Array} Timing entries sized in PCM bytes
+   */
+  static scaleTimingEntries(timingEntries, codec) {
+    const factor = 2 / this.getBytesPerSample(codec);
+    if (factor === 1) return timingEntries;
+    return timingEntries.map(entry => ({ ...entry, size: entry.size * factor }));
+  }
+} 
\ No newline at end of file
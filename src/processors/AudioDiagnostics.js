@@ -0,0 +1,249 @@
+import { AudioProcessor } from './AudioProcessor.js';
+import { AcousticAnalyzer } from './AcousticAnalyzer.js';
+import { AUDIO_CONFIG, ACOUSTIC, DIAGNOSTICS, REASSEMBLY } from '../config/AudioConfig.js';
+
+// Validation checks: metric, limit it is held against, and whether the limit is a maximum
+const CHECKS = [
+  { issue: 'size_mismatch', limit: 'MAX_SIZE_MISMATCH_BYTES', max: true, value: metrics => Math.abs(metrics.timing.sizeMismatchBytes) },
+  { issue: 'non_monotonic', limit: 'MAX_NON_MONOTONIC', max: true, value: metrics => metrics.timing.nonMonotonic },
+  { issue: 'timing_gap', limit: 'MAX_GAP_MS', max: true, value: metrics => metrics.timing.longestGapMs },
+  { issue: 'burst', limit: 'MAX_BURST_FRAMES', max: true, value: metrics => metrics.timing.largestBurstFrames },
+  { issue: 'odd_frames', limit: 'MAX_ODD_FRAME_RATIO', max: true, value: metrics => metrics.timing.oddFrameRatio },
+  { issue: 'clipping', limit: 'MAX_CLIPPING_RATIO', max: true, value: metrics => metrics.signal.clippingRatio },
+  { issue: 'low_level', limit: 'MIN_SPEECH_LEVEL_DBFS', max: false, value: metrics => metrics.signal.speechLevelDbfs },
+  { issue: 'low_snr', limit: 'MIN_SNR_DB', max: false, value: metrics => metrics.signal.snrDb },
+  { issue: 'silence', limit: 'MAX_SILENCE_RATIO', max: true, value: metrics => metrics.signal.silenceRatio }
+];
+
+/**
+ * Converts an RMS amplitude to dB relative to full scale
+ * @param {number} rms - RMS amplitude
+ * @returns {number|null} Level in dBFS (one decimal), null for digital silence
+ */
+function toDbfs(rms) {
+  return rms > 0 ? Number((20 * Math.log10(rms / 32768)).toFixed(1)) : null;
+}
+
+/**
+ * Audio Diagnostics
+ * Measures recording integrity (timing, frame sizes) and signal quality per call,
+ * and validates the measurements against configured limits
+ */
+export class AudioDiagnostics {
+
+  /**
+   * Measures the _timeSize timeline against the _data payload
+   * @param {Array} timingEntries - Parsed timing entries (in file order)
+   * @param {number} dataLength - _data length in bytes
+   * @param {number} bytesPerSample - Payload bytes per sample of the codec
+   * @returns {Object} Timing metrics
+   */
+  static analyzeTiming(timingEntries, dataLength, bytesPerSample = AUDIO_CONFIG.BLOCK_ALIGN) {
+    const frameMs = REASSEMBLY.FRAME_DURATION_MS;
+    const expectedFrameSize = AUDIO_CONFIG.SAMPLE_RATE * frameMs / 1000 * bytesPerSample;
+    const totalBytes = timingEntries.reduce((sum, entry) => sum + entry.size, 0);
+    
+    let nonMonotonic = 0;
+    let gapCount = 0;
+    let longestGapMs = 0;
+    let missingMs = 0;
+    let burstCount = 0;
+    let largestBurstFrames = 0;
+    let burstFrames = 1;
+    
+    const endBurst = () => {
+      if (burstFrames >= DIAGNOSTICS.MIN_BURST_FRAMES) {
+        burstCount++;
+        largestBurstFrames = Math.max(largestBurstFrames, burstFrames);
+      }
+      burstFrames = 1;
+    };
+    
+    for (let i = 1; i < timingEntries.length; i++) {
+      const intervalMs = timingEntries[i].timestamp - timingEntries[i - 1].timestamp;
+      
+      if (intervalMs < 0) {
+        nonMonotonic++;
+      } else if (intervalMs > frameMs + REASSEMBLY.MAX_JITTER_MS) {
+        // Same notion of loss as frame reassembly: later than the jitter window absorbs
+        gapCount++;
+        longestGapMs = Math.max(longestGapMs, intervalMs - frameMs);
+        missingMs += intervalMs - frameMs;
+      }
+      
+      if (intervalMs >= 0 && intervalMs <= DIAGNOSTICS.BURST_INTERVAL_MS) {
+        burstFrames++;
+      } else {
+        endBurst();
+      }
+    }
+    endBurst();
+    
+    // A short last entry is the end of the recording, not an odd frame
+    const oddFrameCount = timingEntries.filter((entry, index) =>
+      entry.size !== expectedFrameSize && !(index === timingEntries.length - 1 && entry.size < expectedFrameSize)).length;
+    
+    return {
+      entryCount: timingEntries.length,
+      expectedFrameSize,
+      totalBytes,
+      dataBytes: dataLength,
+      sizeMismatchBytes: dataLength - totalBytes,
+      nonMonotonic,
+      gapCount,
+      longestGapMs,
+      missingMs,
+      burstCount,
+      largestBurstFrames,
+      oddFrameCount,
+      oddFrameRatio: timingEntries.length ? Number((oddFrameCount / timingEntries.length).toFixed(4)) : 0
+    };
+  }
+
+  /**
+   * Measures level, noise and clipping of decoded audio
+   * @param {Buffer} pcm - 16-bit little-endian PCM audio
+   * @returns {Object} Signal metrics
+   */
+  static analyzeSignal(pcm) {
+    const samples = AudioProcessor.toSamples(pcm);
+    const frameSamples = AUDIO_CONFIG.SAMPLE_RATE * ACOUSTIC.FRAME_DURATION_MS / 1000;
+    const energies = AcousticAnalyzer.computeFrameEnergies(samples, frameSamples);
+    
+    let sumSquares = 0;
+    let clipped = 0;
+    for (let i = 0; i < samples.length; i++) {
+      sumSquares += samples[i] * samples[i];
+      if (Math.abs(samples[i]) >= DIAGNOSTICS.CLIP_LEVEL) clipped++;
+    }
+    
+    // Speech and noise are told apart the same way as in the acoustic analysis
+    const noiseFloorRms = AcousticAnalyzer.estimateNoiseFloor(energies);
+    const threshold = Math.max(ACOUSTIC.MIN_SPEECH_RMS, noiseFloorRms * ACOUSTIC.NOISE_FLOOR_MULTIPLIER);
+    const speech = energies.filter(energy => energy >= threshold);
+    const speechRms = speech.length ? Math.sqrt(speech.reduce((sum, energy) => sum + energy * energy, 0) / speech.length) : 0;
+    
+    return {
+      durationMs: Math.round(samples.length / AUDIO_CONFIG.SAMPLE_RATE * 1000),
+      rmsDbfs: samples.length ? toDbfs(Math.sqrt(sumSquares / samples.length)) : null,
+      speechLevelDbfs: toDbfs(speechRms),
+      noiseFloorDbfs: toDbfs(noiseFloorRms),
+      // Digital silence between words has no noise floor; one LSB keeps the ratio finite
+      snrDb: speech.length ? Number((20 * Math.log10(speechRms / Math.max(noiseFloorRms, 1))).toFixed(1)) : null,
+      silenceRatio: energies.length ? Number((1 - speech.length / energies.length).toFixed(3)) : 1,
+      clippingRatio: samples.length ? Number((clipped / samples.length).toFixed(4)) : 0
+    };
+  }
+
+  /**
+   * Holds metrics against the validation limits
+   * @param {Object} metrics - { timing, signal }
+   * @param {Object} limits - Limits keyed like DIAGNOSTICS.LIMITS (null disables a check)
+   * @returns {Array} Issues as {issue, value, limit, message}
+   */
+  static validate(metrics, limits = DIAGNOSTICS.LIMITS) {
+    const issues = [];
+    
+    for (const check of CHECKS) {
+      const limit = limits[check.limit];
+      const value = check.value(metrics);
+      if (limit === null || limit === undefined || value === null) continue;
+      
+      if (check.max ? value > limit : value < limit) {
+        issues.push({
+          issue: check.issue,
+          value,
+          limit,
+          message: `${check.issue}: ${value} ${check.max ? '>' : '<'} ${limit}`
+        });
+      }
+    }
+    
+    return issues;
+  }
+
+  /**
+   * Runs all diagnostics for a call
+   * @param {Object} input - { timingEntries, dataLength, bytesPerSample, pcm }
+   * @param {string} validation - strict or lenient
+   * @returns {Object} { validation, status, issues, timing, signal } with status ok, flagged or failed
+   */
+  static diagnose({ timingEntries, dataLength, bytesPerSample, pcm }, validation = DIAGNOSTICS.VALIDATION) {
+    if (!['strict', 'lenient'].includes(validation)) {
+      throw new Error(`Unknown validation mode "${validation}" (use strict, lenient)`);
+    }
+    
+    const metrics = {
+      timing: this.analyzeTiming(timingEntries, dataLength, bytesPerSample),
+      signal: this.analyzeSignal(pcm)
+    };
+    const issues = this.validate(metrics);
+    
+    let status = 'ok';
+    if (issues.length) {
+      status = validation === 'strict' ? 'failed' : 'flagged';
+    }
+    
+    return { validation, status, issues, ...metrics };
+  }
+
+  /**
+   * Builds the error thrown for a call that failed strict validation
+   * @param {Object} diagnostics - Result from diagnose
+   * @returns {Error} Error carrying the diagnostics and DIAGNOSTICS.ERROR_CLASS
+   */
+  static createValidationError(diagnostics) {
+    const error = new Error(`Audio validation failed: ${diagnostics.issues.map(issue => issue.message).join(', ')}`);
+    error.errorClass = DIAGNOSTICS.ERROR_CLASS;
+    error.diagnostics = diagnostics;
+    return error;
+  }
+
+  /**
+   * Finds the diagnostics attached to an error or one of its causes
+   * @param {Error} error - Error from the processing pipeline
+   * @returns {Object|null} Diagnostics of a call that failed validation
+   */
+  static fromError(error) {
+    for (let current = error; current; current = current.cause) {
+      if (current.diagnostics) return current.diagnostics;
+    }
+    return null;
+  }
+
+  /**
+   * Summarises diagnostics over a folder
+   * @param {Array} results - Call results (successful or failed)
+   * @returns {Object} Counts per status and issue, and averages of the main metrics
+   */
+  static summarize(results) {
+    const reports = results.map(result => result.diagnostics).filter(Boolean);
+    const statusCounts = { ok: 0, flagged: 0, failed: 0 };
+    const issueCounts = {};
+    
+    for (const report of reports) {
+      statusCounts[report.status]++;
+      for (const { issue } of report.issues) {
+        issueCounts[issue] = (issueCounts[issue] || 0) + 1;
+      }
+    }
+    
+    const average = read => {
+      const values = reports.map(read).filter(value => value !== null && value !== undefined);
+      return values.length ? Number((values.reduce((sum, value) => sum + value, 0) / values.length).toFixed(3)) : null;
+    };
+    
+    return {
+      diagnosedCount: reports.length,
+      statusCounts,
+      issueCounts,
+      sizeMismatchCount: reports.filter(report => report.timing.sizeMismatchBytes !== 0).length,
+      gapCount: reports.reduce((sum, report) => sum + report.timing.gapCount, 0),
+      nonMonotonicCount: reports.reduce((sum, report) => sum + report.timing.nonMonotonic, 0),
+      averageSpeechLevelDbfs: average(report => report.signal.speechLevelDbfs),
+      averageSnrDb: average(report => report.signal.snrDb),
+      averageSilenceRatio: average(report => report.signal.silenceRatio),
+      averageClippingRatio: average(report => report.signal.clippingRatio)
+    };
+  }
+} 
\ No newline at end of file
@@ -0,0 +1,306 @@
+import { AcousticAnalyzer } from './AcousticAnalyzer.js';
+import { CallToneClassifier } from './CallToneClassifier.js';
+import { AUDIO_CONFIG, ACOUSTIC, PREPROCESSING } from '../config/AudioConfig.js';
+
+// Method implementing each preprocessing step
+const STEP_METHODS = {
+  dc: 'removeDcOffset',
+  highpass: 'highPass',
+  declip: 'repairClipping',
+  trim: 'trimSilence',
+  peak: 'normalizePeak',
+  rms: 'normalizeRms'
+};
+
+/**
+ * Converts a level in dB relative to full scale to a sample amplitude
+ * @param {number} dbfs - Level in dBFS
+ * @returns {number} Amplitude
+ */
+function fromDbfs(dbfs) {
+  return 32767 * Math.pow(10, dbfs / 20);
+}
+
+/**
+ * Audio Preprocessor
+ * Cleans up call audio before transcription: DC removal, high-pass filtering,
+ * clipping repair, silence trimming and level normalization
+ */
+export class AudioPreprocessor {
+
+  /**
+   * Lists the step names accepted by process
+   * @returns {Array<string>} Step names
+   */
+  static getSteps() {
+    return Object.keys(STEP_METHODS);
+  }
+
+  /**
+   * Validates a list of step names
+   * @param {Array<string>} steps - Step names
+   * @returns {Array<string>} The same steps
+   */
+  static validateSteps(steps) {
+    const unknown = steps.find(step => !STEP_METHODS[step]);
+    if (unknown) {
+      throw new Error(`Unknown preprocessing step "${unknown}" (use ${this.getSteps().join(', ')})`);
+    }
+    return steps;
+  }
+
+  /**
+   * Converts 16-bit PCM to floating-point samples so steps can exceed full scale in between
+   * @param {Buffer} pcm - 16-bit little-endian PCM audio
+   * @returns {Float64Array} Samples
+   */
+  static toSignal(pcm) {
+    const signal = new Float64Array(Math.floor(pcm.length / 2));
+    for (let i = 0; i < signal.length; i++) {
+      signal[i] = pcm.readInt16LE(i * 2);
+    }
+    return signal;
+  }
+
+  /**
+   * Rounds floating-point samples back to 16-bit PCM, saturating at full scale
+   * @param {Float64Array} signal - Samples
+   * @returns {Buffer} 16-bit little-endian PCM audio
+   */
+  static toPcm(signal) {
+    const pcm = Buffer.alloc(signal.length * 2);
+    for (let i = 0; i < signal.length; i++) {
+      pcm.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(signal[i]))), i * 2);
+    }
+    return pcm;
+  }
+
+  /**
+   * Gets the largest absolute sample value
+   * @param {Float64Array} signal - Samples
+   * @returns {number} Peak amplitude
+   */
+  static getPeak(signal) {
+    let peak = 0;
+    for (let i = 0; i < signal.length; i++) {
+      peak = Math.max(peak, Math.abs(signal[i]));
+    }
+    return peak;
+  }
+
+  /**
+   * Finds the speech threshold the same way as the acoustic analysis
+   * @param {Array<number>} energies - Frame RMS values
+   * @returns {number} Speech RMS threshold
+   */
+  static getSpeechThreshold(energies) {
+    return Math.max(ACOUSTIC.MIN_SPEECH_RMS, AcousticAnalyzer.estimateNoiseFloor(energies) * ACOUSTIC.NOISE_FLOOR_MULTIPLIER);
+  }
+
+  /**
+   * Subtracts the mean so the signal is centred on zero
+   * @param {Float64Array} signal - Samples
+   * @returns {Object} { signal, info: { offset } }
+   */
+  static removeDcOffset(signal) {
+    const offset = signal.length ? signal.reduce((sum, sample) => sum + sample, 0) / signal.length : 0;
+    return {
+      signal: signal.map(sample => sample - offset),
+      info: { offset: Number(offset.toFixed(1)) }
+    };
+  }
+
+  /**
+   * Second-order Butterworth high-pass filter (RBJ biquad)
+   * @param {Float64Array} signal - Samples
+   * @param {number} cutoffHz - Cutoff frequency
+   * @returns {Object} { signal, info: { cutoffHz } }
+   */
+  static highPass(signal, cutoffHz = PREPROCESSING.HIGHPASS_HZ) {
+    const w0 = 2 * Math.PI * cutoffHz / AUDIO_CONFIG.SAMPLE_RATE;
+    const alpha = Math.sin(w0) / (2 * Math.SQRT1_2);
+    const cos = Math.cos(w0);
+    const a0 = 1 + alpha;
+    const b0 = (1 + cos) / 2 / a0;
+    const b1 = -(1 + cos) / a0;
+    const a1 = -2 * cos / a0;
+    const a2 = (1 - alpha) / a0;
+    
+    const output = new Float64Array(signal.length);
+    let x1 = 0;
+    let x2 = 0;
+    let y1 = 0;
+    let y2 = 0;
+    for (let i = 0; i < signal.length; i++) {
+      const x0 = signal[i];
+      const y0 = b0 * x0 + b1 * x1 + b0 * x2 - a1 * y1 - a2 * y2;
+      output[i] = y0;
+      x2 = x1;
+      x1 = x0;
+      y2 = y1;
+      y1 = y0;
+    }
+    
+    return { signal: output, info: { cutoffHz } };
+  }
+
+  /**
+   * Rebuilds flattened peaks: runs of samples stuck at the file peak are replaced
+   * by a cubic (Hermite) curve through the neighbouring samples and their slopes
+   * @param {Float64Array} signal - Samples
+   * @returns {Object} { signal, info: { clippedRuns, clippedSamples } }
+   */
+  static repairClipping(signal) {
+    const peak = this.getPeak(signal);
+    const output = Float64Array.from(signal);
+    let clippedRuns = 0;
+    let clippedSamples = 0;
+    
+    if (peak < PREPROCESSING.MIN_CLIP_PEAK) {
+      return { signal: output, info: { clippedRuns, clippedSamples } };
+    }
+    
+    const level = peak * PREPROCESSING.CLIP_LEVEL_RATIO;
+    for (let i = 2; i < signal.length; i++) {
+      if (Math.abs(signal[i]) < level) continue;
+      
+      const sign = Math.sign(signal[i]);
+      let end = i;
+      while (end < signal.length && signal[end] * sign >= level) end++;
+      
+      // The curve needs two clean samples on each side
+      if (end - i >= PREPROCESSING.MIN_CLIP_RUN && end + 1 < signal.length) {
+        const span = end - i + 1;
+        const p0 = signal[i - 1];
+        const p1 = signal[end];
+        const m0 = (signal[i - 1] - signal[i - 2]) * span;
+        const m1 = (signal[end + 1] - signal[end]) * span;
+        
+        for (let k = i; k < end; k++) {
+          const t = (k - i + 1) / span;
+          const t2 = t * t;
+          const t3 = t2 * t;
+          const curve = (2 * t3 - 3 * t2 + 1) * p0 + (t3 - 2 * t2 + t) * m0 + (-2 * t3 + 3 * t2) * p1 + (t3 - t2) * m1;
+          // Never pull a sample below the level it was clipped at
+          output[k] = sign * Math.max(signal[k] * sign, curve * sign);
+        }
+        clippedRuns++;
+        clippedSamples += end - i;
+      }
+      i = end;
+    }
+    
+    return { signal: output, info: { clippedRuns, clippedSamples } };
+  }
+
+  /**
+   * Cuts leading and trailing silence, and leading ringback, keeping some padding
+   * @param {Float64Array} signal - Samples
+   * @returns {Object} { signal, info: { startMs, endMs, ringbackMs, speechFound } } (times in the step's input)
+   */
+  static trimSilence(signal) {
+    const frameMs = ACOUSTIC.FRAME_DURATION_MS;
+    const frameSamples = AUDIO_CONFIG.SAMPLE_RATE * frameMs / 1000;
+    const durationMs = Math.round(signal.length / AUDIO_CONFIG.SAMPLE_RATE * 1000);
+    const energies = AcousticAnalyzer.computeFrameEnergies(signal, frameSamples);
+    
+    // Ringback only plays before the call is answered, so speech starts after the last burst
+    const ringbackMs = CallToneClassifier.getRingbackEndMs(CallToneClassifier.classify(this.toPcm(signal)));
+    
+    const speech = AcousticAnalyzer.detectVoiceActivity(energies, this.getSpeechThreshold(energies))
+      .filter(segment => segment.startMs >= ringbackMs);
+    
+    if (!speech.length) {
+      return { signal, info: { startMs: 0, endMs: durationMs, ringbackMs, speechFound: false } };
+    }
+    
+    const startMs = Math.max(0, speech[0].startMs - PREPROCESSING.TRIM_PADDING_MS);
+    const endMs = Math.min(durationMs, speech[speech.length - 1].endMs + PREPROCESSING.TRIM_PADDING_MS);
+    const toSample = ms => Math.round(ms * AUDIO_CONFIG.SAMPLE_RATE / 1000);
+    
+    return {
+      signal: signal.subarray(toSample(startMs), toSample(endMs)),
+      info: { startMs, endMs, ringbackMs, speechFound: true }
+    };
+  }
+
+  /**
+   * Applies a gain, limited to MAX_GAIN_DB
+   * @param {Float64Array} signal - Samples
+   * @param {number} gain - Desired linear gain
+   * @returns {Object} { signal, info: { gainDb } }
+   */
+  static applyGain(signal, gain) {
+    const limited = Math.min(gain, Math.pow(10, PREPROCESSING.MAX_GAIN_DB / 20));
+    return {
+      signal: signal.map(sample => sample * limited),
+      info: { gainDb: Number((20 * Math.log10(limited)).toFixed(1)) }
+    };
+  }
+
+  /**
+   * Scales the signal so its peak reaches TARGET_PEAK_DBFS
+   * @param {Float64Array} signal - Samples
+   * @returns {Object} { signal, info: { gainDb } }
+   */
+  static normalizePeak(signal) {
+    const peak = this.getPeak(signal);
+    return this.applyGain(signal, peak > 0 ? fromDbfs(PREPROCESSING.TARGET_PEAK_DBFS) / peak : 1);
+  }
+
+  /**
+   * Scales the signal so speech reaches TARGET_RMS_DBFS, without pushing the peak above TARGET_PEAK_DBFS
+   * @param {Float64Array} signal - Samples
+   * @returns {Object} { signal, info: { gainDb, speechRms } }
+   */
+  static normalizeRms(signal) {
+    const frameSamples = AUDIO_CONFIG.SAMPLE_RATE * ACOUSTIC.FRAME_DURATION_MS / 1000;
+    const energies = AcousticAnalyzer.computeFrameEnergies(signal, frameSamples);
+    const threshold = this.getSpeechThreshold(energies);
+    const speech = energies.filter(energy => energy >= threshold);
+    
+    if (!speech.length) {
+      return { signal, info: { gainDb: 0, speechRms: null } };
+    }
+    
+    const speechRms = Math.sqrt(speech.reduce((sum, energy) => sum + energy * energy, 0) / speech.length);
+    const peak = this.getPeak(signal);
+    const gain = Math.min(fromDbfs(PREPROCESSING.TARGET_RMS_DBFS) / speechRms, fromDbfs(PREPROCESSING.TARGET_PEAK_DBFS) / peak);
+    const { signal: output, info } = this.applyGain(signal, gain);
+    
+    return { signal: output, info: { ...info, speechRms: Math.round(speechRms) } };
+  }
+
+  /**
+   * Runs a preprocessing chain
+   * @param {Buffer} pcm - 16-bit little-endian PCM audio
+   * @param {Array<string>} steps - Step names, applied in order
+   * @returns {Object} { pcm, steps, offsetMs, durationMs, originalDurationMs } where offsetMs is
+   *   the position of the first processed sample in the original audio
+   */
+  static process(pcm, steps = PREPROCESSING.STEPS) {
+    this.validateSteps(steps);
+    
+    let signal = this.toSignal(pcm);
+    let offsetMs = 0;
+    const report = [];
+    
+    for (const step of steps) {
+      const result = this[STEP_METHODS[step]](signal);
+      signal = result.signal;
+      report.push({ step, ...result.info });
+      
+      if (step === 'trim') {
+        offsetMs += result.info.startMs;
+      }
+    }
+    
+    return {
+      pcm: this.toPcm(signal),
+      steps: report,
+      offsetMs,
+      durationMs: Math.round(signal.length / AUDIO_CONFIG.SAMPLE_RATE * 1000),
+      originalDurationMs: Math.round(pcm.length / AUDIO_CONFIG.BYTE_RATE * 1000)
+    };
+  }
+} 
\ No newline at end of file
@@ -1,7 +1,10 @@
 import { promises as fs } from 'fs';
 import { dirname } from 'path';
 import { WavHeaderGenerator } from './WavHeaderGenerator.js';
-import { PATHS, PROCESSING } from '../config/AudioConfig.js';
+import { AudioDecoder } from './AudioDecoder.js';
+import { AudioPreprocessor } from './AudioPreprocessor.js';
+import { AudioDiagnostics } from './AudioDiagnostics.js';
+import { PATHS, PROCESSING, REASSEMBLY } from '../config/AudioConfig.js';
 
 /**
  * Audio Processor
@@ -59,6 +62,115 @@ export class AudioProcessor {
     };
   }
 
+  /**
+   * Reassembles frames on a fixed 20ms grid using their arrival timestamps.
+   * Frames arriving late or bunched together are played back-to-back, while
+   * gaps longer than the jitter window are filled with silence (lost frames).
+   * Out-of-order entries are restored by timestamp and duplicate frames dropped.
+   * @param {Buffer} audioData - Raw concatenated frame bytes
+   * @param {Array} timingEntries - Parsed timing entries (in file order)
+   * @param {Object} options - { frameDurationMs, maxJitterMs }
+   * @returns {Object} { audioData, stats }
+   */
+  static reassembleFrames(audioData, timingEntries, options = {}) {
+    const frameDurationMs = options.frameDurationMs || REASSEMBLY.FRAME_DURATION_MS;
+    const maxJitterMs = options.maxJitterMs ?? REASSEMBLY.MAX_JITTER_MS;
+    const frameSize = options.frameSize || REASSEMBLY.FRAME_SIZE;
+    const maxJitterFrames = Math.floor(maxJitterMs / frameDurationMs);
+    
+    // Attach byte offsets in file order before any reordering
+    let offset = 0;
+    let outOfOrderFrames = 0;
+    let latestTimestamp = -Infinity;
+    const frames = timingEntries.map(entry => {
+      if (entry.timestamp < latestTimestamp) {
+        outOfOrderFrames++;
+      }
+      latestTimestamp = Math.max(latestTimestamp, entry.timestamp);
+      
+      const payload = audioData.subarray(offset, Math.min(offset + entry.size, audioData.length));
+      offset += entry.size;
+      return { ...entry, payload };
+    });
+    
+    // Array.prototype.sort is stable, so bunched frames keep their file order
+    frames.sort((a, b) => a.timestamp - b.timestamp);
+    
+    const firstTimestamp = frames.length ? frames[0].timestamp : 0;
+    const placements = [];
+    let nextSlot = 0;
+    let concealedFrames = 0;
+    let duplicateFrames = 0;
+    let truncatedFrames = 0;
+    let maxLatenessMs = 0;
+    let previous = null;
+    
+    for (const frame of frames) {
+      if (frame.payload.length === 0) {
+        truncatedFrames++;
+        continue;
+      }
+      
+      // Same timestamp and identical bytes is a retransmitted frame; digital
+      // silence is excluded since consecutive silent frames are legitimately equal
+      if (previous &&
+          previous.timestamp === frame.timestamp &&
+          previous.payload.equals(frame.payload) &&
+          frame.payload.some(byte => byte !== 0)) {
+        duplicateFrames++;
+        continue;
+      }
+      
+      const timestampSlot = Math.round((frame.timestamp - firstTimestamp) / frameDurationMs);
+      
+      if (timestampSlot - nextSlot > maxJitterFrames) {
+        concealedFrames += timestampSlot - nextSlot;
+        nextSlot = timestampSlot;
+      }
+      
+      const slotTimeMs = nextSlot * frameDurationMs;
+      maxLatenessMs = Math.max(maxLatenessMs, frame.timestamp - firstTimestamp - slotTimeMs);
+      
+      placements.push({ slot: nextSlot, payload: frame.payload });
+      nextSlot += Math.max(1, Math.ceil(frame.payload.length / frameSize));
+      previous = frame;
+    }
+    
+    // Unfilled slots stay zeroed, i.e. silence for concealed frames
+    const output = Buffer.alloc(nextSlot * frameSize);
+    for (const { slot, payload } of placements) {
+      payload.copy(output, slot * frameSize);
+    }
+    
+    return {
+      audioData: output,
+      stats: {
+        frameCount: timingEntries.length,
+        placedFrames: placements.length,
+        concealedFrames,
+        duplicateFrames,
+        outOfOrderFrames,
+        truncatedFrames,
+        maxLatenessMs,
+        frameDurationMs,
+        outputDurationMs: nextSlot * frameDurationMs
+      }
+    };
+  }
+
+  /**
+   * Converts 16-bit little-endian PCM bytes to samples
+   * @param {Buffer} pcm - PCM audio buffer
+   * @returns {Int16Array} Audio samples
+   */
+  static toSamples(pcm) {
+    const samples = new Int16Array(Math.floor(pcm.length / 2));
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] = pcm.readInt16LE(i * 2);
+    }
+    return samples;
+  }
+
   /**
    * Reads and validates an audio data file
    * @param {string} filePath - Path to the data file
@@ -89,11 +201,12 @@ export class AudioProcessor {
    * Creates a WAV file from binary audio data
    * @param {Buffer} audioData - Binary audio data
    * @param {string} outputPath - Output WAV file path
+   * @param {Object} format - Audio format ({ sampleRate, channels, bitsPerSample }), defaults to AUDIO_CONFIG
    * @returns {Promise<Object>} Creation result with file info
    */
-  static async createWavFile(audioData, outputPath) {
+  static async createWavFile(audioData, outputPath, format) {
     // Generate WAV header
-    const header = WavHeaderGenerator.generateHeader(audioData.length);
+    const header = WavHeaderGenerator.generateHeader(audioData.length, format);
     
     // Combine header and audio data
     const wavData = Buffer.concat([header, audioData]);
@@ -109,7 +222,7 @@ export class AudioProcessor {
       totalSize: wavData.length,
       audioDataSize: audioData.length,
       headerSize: header.length,
-      headerInfo: WavHeaderGenerator.getHeaderInfo(audioData.length)
+      headerInfo: WavHeaderGenerator.getHeaderInfo(audioData.length, format)
     };
   }
 
@@ -128,17 +241,22 @@ export class AudioProcessor {
   /**
    * Processes a complete audio conversion
    * @param {string} baseId - Base identifier (e.g., '1751421215833')
+   * @param {Object} options - Processing options ({ reassemble, codec, validation, preprocess, preprocessSteps, dataDir, outputDir })
    * @returns {Promise<Object>} Complete processing result
    */
-  static async processAudio(baseId) {
+  static async processAudio(baseId, options = {}) {
     const startTime = Date.now();
+    const dataDir = options.dataDir || PATHS.DATA_DIR;
+    const outputDir = options.outputDir || PATHS.OUTPUT_DIR;
     
     console.log(`Processing audio: ${baseId}`);
     
     // Define file paths
-    const dataFile = `${PATHS.DATA_DIR}/${baseId}_data`;
-    const timeSizeFile = `${PATHS.DATA_DIR}/${baseId}_timeSize`;
-    const wavFile = `${PATHS.OUTPUT_DIR}/${baseId}.wav`;
+    const dataFile = `${dataDir}/${baseId}_data`;
+    const timeSizeFile = `${dataDir}/${baseId}_timeSize`;
+    const wavFile = `${outputDir}/${baseId}.wav`;
+    const processedWavFile = `${outputDir}/${baseId}.processed.wav`;
+    const preprocessingFile = `${outputDir}/${baseId}.preprocessing.json`;
     
     try {
       // Read timing data
@@ -151,38 +269,83 @@ export class AudioProcessor {
       
       // Read audio data
       console.log('Reading audio data...');
-      const audioData = await this.readAudioData(dataFile);
+      const rawAudioData = await this.readAudioData(dataFile);
       
-      console.log(`Loaded ${audioData.length} bytes`);
+      console.log(`Loaded ${rawAudioData.length} bytes`);
       
-      // Validate data consistency
-      if (timingStats.totalBytes !== audioData.length) {
-        console.warn(`Timing total (${timingStats.totalBytes}) ≠ audio length (${audioData.length})`);
+      // Decode the payload to 16-bit PCM, detecting its codec unless one was given
+      const codec = AudioDecoder.resolveCodec(rawAudioData, options.codec);
+      if (codec.detected) {
+        console.log(`Detected input codec: ${codec.codec}`);
+      }
+      const pcmData = AudioDecoder.decode(rawAudioData, codec.codec);
+      
+      // Check recording integrity and signal quality; strict validation stops here
+      const diagnostics = AudioDiagnostics.diagnose({
+        timingEntries,
+        dataLength: rawAudioData.length,
+        bytesPerSample: AudioDecoder.getBytesPerSample(codec.codec),
+        pcm: pcmData
+      }, options.validation);
+      if (diagnostics.issues.length) {
+        console.warn(`Audio ${diagnostics.status}: ${diagnostics.issues.map(issue => issue.message).join(', ')}`);
+      }
+      if (diagnostics.status === 'failed') {
+        throw AudioDiagnostics.createValidationError(diagnostics);
+      }
+      
+      // Place frames on the call timeline if requested
+      let audioData = pcmData;
+      let reassembly = null;
+      if (options.reassemble) {
+        console.log('Reassembling frames from timestamps...');
+        const pcmEntries = AudioDecoder.scaleTimingEntries(timingEntries, codec.codec);
+        ({ audioData, stats: reassembly } = this.reassembleFrames(pcmData, pcmEntries));
+        console.log(`Placed ${reassembly.placedFrames} frames, concealed ${reassembly.concealedFrames}, dropped ${reassembly.duplicateFrames} duplicates`);
       }
       
       // Create WAV file
       console.log('Creating WAV file...');
-      const wavInfo = await this.createWavFile(audioData, wavFile);
+      const wavInfo = await this.createWavFile(audioData, wavFile, AudioDecoder.getOutputFormat());
       
       const duration = ((Date.now() - startTime) / 1000).toFixed(2);
       console.log(`Generated ${wavFile} (${(wavInfo.totalSize / 1024).toFixed(1)}KB) in ${duration}s`);
       
+      // Cleaned-up copy for transcription; the original WAV is kept as is
+      let preprocessing = null;
+      if (options.preprocess) {
+        console.log('Preprocessing audio...');
+        const { pcm: processedPcm, ...report } = AudioPreprocessor.process(audioData, options.preprocessSteps);
+        const processedWavInfo = await this.createWavFile(processedPcm, processedWavFile, AudioDecoder.getOutputFormat());
+        
+        // Speech recognition reads the trim offset from here to report word times in the original recording
+        preprocessing = { ...report, wavFile: processedWavFile, reportFile: preprocessingFile, wav: processedWavInfo };
+        await fs.writeFile(preprocessingFile, JSON.stringify(preprocessing, null, 2), 'utf8');
+        
+        console.log(`Generated ${processedWavFile} (${report.steps.map(step => step.step).join(', ')}; starts at ${(report.offsetMs / 1000).toFixed(2)}s, ${(report.durationMs / 1000).toFixed(2)}s long)`);
+      }
+      
       return {
         baseId,
         success: true,
-        files: { dataFile, timeSizeFile, wavFile },
+        files: { dataFile, timeSizeFile, wavFile, processedWavFile: preprocessing ? processedWavFile : null },
         timing: timingStats,
+        codec: { name: codec.codec, detected: codec.detected, scores: codec.scores },
         audio: {
           length: audioData.length,
           estimatedDuration: (audioData.length / 16000).toFixed(2) + 's' // 16000 = byte rate
         },
+        reassembly,
         wav: wavInfo,
-        processingTime: duration + 's'
+        preprocessing,
+        diagnostics,
+        processingTime: ((Date.now() - startTime) / 1000).toFixed(2) + 's',
+        pcm: audioData
       };
       
     } catch (error) {
       console.error(`Processing failed: ${error.message}`);
-      throw new Error(`Audio processing failed for ${baseId}: ${error.message}`);
+      throw new Error(`Audio processing failed for ${baseId}: ${error.message}`, { cause: error });
     }
   }
 } 
\ No newline at end of file
@@ -0,0 +1,110 @@
+import { AudioProcessor } from './AudioProcessor.js';
+import { AcousticAnalyzer } from './AcousticAnalyzer.js';
+import { AUDIO_CONFIG, ACOUSTIC, SEGMENTATION } from '../config/AudioConfig.js';
+
+/**
+ * Audio Segmenter
+ * Splits long calls at pauses into segments short enough for synchronous recognition
+ */
+export class AudioSegmenter {
+
+  /**
+   * Converts a PCM byte length to milliseconds
+   * @param {number} byteLength - PCM length in bytes
+   * @returns {number} Duration in milliseconds
+   */
+  static bytesToMs(byteLength) {
+    return Math.round(byteLength / AUDIO_CONFIG.BYTE_RATE * 1000);
+  }
+
+  /**
+   * Keeps only the beginning of the audio
+   * @param {Buffer} pcm - 16-bit little-endian PCM audio
+   * @param {number} seconds - Seconds to keep (falsy keeps everything)
+   * @returns {Buffer} Truncated PCM (shares memory with the input)
+   */
+  static truncate(pcm, seconds) {
+    if (!seconds) return pcm;
+    
+    const maxBytes = Math.floor(seconds * AUDIO_CONFIG.SAMPLE_RATE) * AUDIO_CONFIG.BLOCK_ALIGN;
+    return pcm.length > maxBytes ? pcm.subarray(0, maxBytes) : pcm;
+  }
+
+  /**
+   * Chooses where to cut within a search window
+   * @param {Array<number>} energies - Frame RMS values
+   * @param {number} threshold - Speech RMS threshold
+   * @param {number} fromFrame - First frame of the window
+   * @param {number} toFrame - Frame after the window
+   * @returns {number} Frame index to cut at
+   */
+  static findCutFrame(energies, threshold, fromFrame, toFrame) {
+    const minPauseFrames = Math.ceil(SEGMENTATION.MIN_PAUSE_MS / ACOUSTIC.FRAME_DURATION_MS);
+    let best = null;
+    let runStart = null;
+    
+    // Longest pause wins (the latest on ties), cut in its middle so no word is clipped
+    for (let i = fromFrame; i <= toFrame; i++) {
+      const silent = i < toFrame && energies[i] < threshold;
+      if (silent && runStart === null) {
+        runStart = i;
+      } else if (!silent && runStart !== null) {
+        const length = i - runStart;
+        if (length >= minPauseFrames && (!best || length >= best.length)) {
+          best = { start: runStart, length };
+        }
+        runStart = null;
+      }
+    }
+    
+    if (best) {
+      return best.start + Math.floor(best.length / 2);
+    }
+    
+    // No usable pause: cut at the quietest frame
+    let quietest = toFrame - 1;
+    for (let i = fromFrame; i < toFrame; i++) {
+      if (energies[i] < energies[quietest]) quietest = i;
+    }
+    return quietest;
+  }
+
+  /**
+   * Splits audio into segments no longer than maxSegmentMs, cutting at pauses
+   * @param {Buffer} pcm - 16-bit little-endian PCM audio
+   * @param {number} maxSegmentMs - Maximum segment duration
+   * @returns {Array} Segments as {index, startMs, endMs, startByte, endByte}
+   */
+  static split(pcm, maxSegmentMs = SEGMENTATION.MAX_SEGMENT_MS) {
+    const frameMs = ACOUSTIC.FRAME_DURATION_MS;
+    const frameBytes = AUDIO_CONFIG.SAMPLE_RATE * frameMs / 1000 * AUDIO_CONFIG.BLOCK_ALIGN;
+    const cuts = [0];
+    
+    if (this.bytesToMs(pcm.length) > maxSegmentMs) {
+      const energies = AcousticAnalyzer.computeFrameEnergies(AudioProcessor.toSamples(pcm), frameBytes / AUDIO_CONFIG.BLOCK_ALIGN);
+      const noiseFloor = AcousticAnalyzer.estimateNoiseFloor(energies);
+      const threshold = Math.max(noiseFloor * ACOUSTIC.NOISE_FLOOR_MULTIPLIER, ACOUSTIC.MIN_SPEECH_RMS);
+      
+      const maxFrames = Math.floor(maxSegmentMs / frameMs);
+      const windowFrames = Math.min(Math.floor(SEGMENTATION.SEARCH_WINDOW_MS / frameMs), maxFrames - 1);
+      let start = 0;
+      
+      while (energies.length - start > maxFrames) {
+        const cut = this.findCutFrame(energies, threshold, start + maxFrames - windowFrames, start + maxFrames);
+        cuts.push(cut * frameBytes);
+        start = cut;
+      }
+    }
+    
+    return cuts.map((startByte, index) => {
+      const endByte = index + 1 < cuts.length ? cuts[index + 1] : pcm.length;
+      return {
+        index,
+        startMs: this.bytesToMs(startByte),
+        endMs: this.bytesToMs(endByte),
+        startByte,
+        endByte
+      };
+    });
+  }
+} 
\ No newline at end of file
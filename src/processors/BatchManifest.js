@@ -0,0 +1,308 @@
+import { promises as fs } from 'fs';
+import { join, dirname } from 'path';
+import { CALL_STATUS } from '../config/AudioConfig.js';
+
+/**
+ * Batch Manifest
+ * Records per-call stage progress of a folder run so interrupted runs can be resumed:
+ * status and result file paths in the manifest, progress events in an append-only journal
+ */
+export class BatchManifest {
+
+  static #writes = new Map();
+
+  /**
+   * Gets the manifest path for a folder output directory
+   * @param {string} outputDir - Folder-specific output directory
+   * @param {string} folderName - Name of the source folder
+   * @returns {string} Manifest file path
+   */
+  static getManifestPath(outputDir, folderName) {
+    return join(outputDir, `${folderName}-manifest.json`);
+  }
+
+  /**
+   * Gets the journal path of a manifest
+   * @param {string} manifestPath - Manifest file path
+   * @returns {string} Journal file path (one JSON event per line)
+   */
+  static getJournalPath(manifestPath) {
+    return `${manifestPath}.log`;
+  }
+
+  /**
+   * Gets the file a call's result is stored in
+   * @param {Object} manifest - Manifest
+   * @param {string} baseId - Call identifier
+   * @returns {string} Result file path
+   */
+  static getResultPath(manifest, baseId) {
+    return join(dirname(manifest.path), `${baseId}.result.json`);
+  }
+
+  /**
+   * Loads the manifest of a previous run, or starts a new one
+   * @param {string} manifestPath - Manifest file path
+   * @param {string} folderPath - Source folder path
+   * @param {boolean} resume - Keep the calls recorded by a previous run
+   * @returns {Promise<Object>} Manifest ({ path, folderPath, createdAt, updatedAt, calls })
+   */
+  static async load(manifestPath, folderPath, resume = false) {
+    const now = new Date().toISOString();
+    const fresh = { path: manifestPath, folderPath, createdAt: now, updatedAt: now, calls: {} };
+    
+    if (!resume) {
+      return fresh;
+    }
+    
+    let content;
+    try {
+      content = await fs.readFile(manifestPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.log(`No manifest found at ${manifestPath}, starting from scratch`);
+        return fresh;
+      }
+      throw error;
+    }
+    
+    let manifest;
+    try {
+      const stored = JSON.parse(content);
+      manifest = { ...fresh, ...stored, path: manifestPath, calls: stored.calls || {} };
+    } catch (error) {
+      throw new Error(`Invalid manifest ${manifestPath}: ${error.message}`);
+    }
+    
+    await this.replayJournal(manifest);
+    return manifest;
+  }
+
+  /**
+   * Applies the journal of an earlier run to a loaded manifest
+   * @param {Object} manifest - Manifest
+   * @returns {Promise<void>}
+   */
+  static async replayJournal(manifest) {
+    const journalPath = this.getJournalPath(manifest.path);
+    
+    let content;
+    try {
+      content = await fs.readFile(journalPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+    
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch {
+        // Only a write cut short by an interruption leaves a partial line
+        console.warn(`Ignoring incomplete manifest journal entry in ${journalPath}`);
+        continue;
+      }
+      this.applyEvent(manifest, event);
+    }
+  }
+
+  /**
+   * Applies one progress event to the in-memory manifest
+   * @param {Object} manifest - Manifest
+   * @param {Object} event - { type: start|stage|finish, baseId, at, ... }
+   */
+  static applyEvent(manifest, event) {
+    const { type, baseId, at } = event;
+    
+    if (type === 'start') {
+      manifest.calls[baseId] = { status: CALL_STATUS.IN_PROGRESS, stages: {}, updatedAt: at };
+      return;
+    }
+    
+    const call = manifest.calls[baseId];
+    if (!call) return;
+    
+    if (type === 'stage') {
+      call.stages[event.stage] = at;
+    } else if (type === 'finish') {
+      call.status = event.status;
+      call.error = event.error;
+      call.failedStage = event.failedStage;
+      call.errorClass = event.errorClass;
+      call.resultFile = event.resultFile;
+    }
+    call.updatedAt = at;
+  }
+
+  /**
+   * Checks whether a call finished in an earlier run and need not be processed again
+   * @param {Object} manifest - Manifest
+   * @param {string} baseId - Call identifier
+   * @param {boolean} retryFailed - Reprocess calls that failed in the previous run
+   * @returns {boolean} True when the call has a recorded result to reuse
+   */
+  static isFinished(manifest, baseId, retryFailed = false) {
+    const call = manifest.calls[baseId];
+    // Manifests written before results moved to their own files hold them inline
+    if (!call || !(call.resultFile || call.result)) return false;
+    
+    return call.status === CALL_STATUS.COMPLETED || (call.status === CALL_STATUS.FAILED && !retryFailed);
+  }
+
+  /**
+   * Decides whether a call can reuse its recorded result
+   * @param {Object} manifest - Manifest
+   * @param {string} baseId - Call identifier
+   * @param {boolean} retryFailed - Reprocess calls that failed in the previous run
+   * @returns {Promise<Object|null>} Recorded result to reuse, or null when the call must be processed
+   */
+  static async getReusableResult(manifest, baseId, retryFailed = false) {
+    if (!this.isFinished(manifest, baseId, retryFailed)) return null;
+    
+    const call = manifest.calls[baseId];
+    if (call.result) return call.result;
+    
+    try {
+      return JSON.parse(await fs.readFile(call.resultFile, 'utf8'));
+    } catch (error) {
+      // Without its result file the call is simply processed again
+      console.warn(`Cannot reuse result of ${baseId} from ${call.resultFile}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Marks a call as started, clearing progress left by an earlier attempt
+   * @param {Object} manifest - Manifest
+   * @param {string} baseId - Call identifier
+   * @returns {Promise<void>}
+   */
+  static async startCall(manifest, baseId) {
+    await this.record(manifest, { type: 'start', baseId });
+  }
+
+  /**
+   * Records a finished pipeline stage
+   * @param {Object} manifest - Manifest
+   * @param {string} baseId - Call identifier
+   * @param {string} stage - Stage name (wav, transcription, detection)
+   * @returns {Promise<void>}
+   */
+  static async completeStage(manifest, baseId, stage) {
+    await this.record(manifest, { type: 'stage', baseId, stage });
+  }
+
+  /**
+   * Records the final result of a call, storing the result in its own file
+   * @param {Object} manifest - Manifest
+   * @param {string} baseId - Call identifier
+   * @param {Object} result - Result from processCompleteWorkflow
+   * @returns {Promise<void>}
+   */
+  static async finishCall(manifest, baseId, result) {
+    const resultFile = this.getResultPath(manifest, baseId);
+    await this.writeAtomically(resultFile, JSON.stringify(result, null, 2));
+    
+    await this.record(manifest, {
+      type: 'finish',
+      baseId,
+      status: result.success ? CALL_STATUS.COMPLETED : CALL_STATUS.FAILED,
+      error: result.success ? null : result.error,
+      failedStage: result.success ? null : result.failedStage,
+      errorClass: result.success ? null : result.errorClass,
+      resultFile
+    });
+  }
+
+  /**
+   * Applies a progress event and appends it to the journal
+   * @param {Object} manifest - Manifest
+   * @param {Object} event - Event without its timestamp
+   * @returns {Promise<void>}
+   */
+  static record(manifest, event) {
+    const entry = { ...event, at: new Date().toISOString() };
+    this.applyEvent(manifest, entry);
+    
+    const journalPath = this.getJournalPath(manifest.path);
+    return this.enqueue(manifest.path, async () => {
+      try {
+        await fs.appendFile(journalPath, JSON.stringify(entry) + '\n', 'utf8');
+      } catch (error) {
+        throw new Error(`Failed to write manifest journal ${journalPath}: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Counts calls per status
+   * @param {Object} manifest - Manifest
+   * @param {Array} baseIds - Calls of the current run (missing ones count as pending)
+   * @returns {Object} Counts keyed by status
+   */
+  static countByStatus(manifest, baseIds) {
+    const counts = Object.fromEntries(Object.values(CALL_STATUS).map(status => [status, 0]));
+    for (const baseId of baseIds) {
+      counts[manifest.calls[baseId]?.status || CALL_STATUS.PENDING]++;
+    }
+    return counts;
+  }
+
+  /**
+   * Writes the manifest to disk and starts a new journal (writes to the same manifest are serialized)
+   * @param {Object} manifest - Manifest
+   * @returns {Promise<void>}
+   */
+  static save(manifest) {
+    return this.enqueue(manifest.path, () => this.write(manifest));
+  }
+
+  /**
+   * Runs a write after the writes queued before it for the same manifest
+   * @param {string} manifestPath - Manifest file path
+   * @param {Function} task - Async write
+   * @returns {Promise<void>}
+   */
+  static enqueue(manifestPath, task) {
+    const previous = this.#writes.get(manifestPath) || Promise.resolve();
+    const write = previous.then(task);
+    
+    // Keep the chain alive after a failed write; the caller still sees the error
+    this.#writes.set(manifestPath, write.catch(() => {}));
+    return write;
+  }
+
+  /**
+   * Atomically replaces the manifest file with the current state, then empties the journal
+   * @param {Object} manifest - Manifest
+   * @returns {Promise<void>}
+   */
+  static async write(manifest) {
+    manifest.updatedAt = new Date().toISOString();
+    
+    const { path, ...content } = manifest;
+    
+    try {
+      await this.writeAtomically(path, JSON.stringify(content, null, 2));
+      // The manifest now contains every journal event; replaying them again would be harmless
+      await fs.rm(this.getJournalPath(path), { force: true });
+    } catch (error) {
+      throw new Error(`Failed to write manifest ${path}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replaces a file through a temporary file so readers never see a partial write
+   * @param {string} filePath - Target file
+   * @param {string} content - File content
+   * @returns {Promise<void>}
+   */
+  static async writeAtomically(filePath, content) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, content, 'utf8');
+    await fs.rename(tempPath, filePath);
+  }
+} 
\ No newline at end of file
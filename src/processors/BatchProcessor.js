@@ -2,7 +2,20 @@ import { promises as fs } from 'fs';
 import { join, basename } from 'path';
 import { AudioProcessor } from './AudioProcessor.js';
 import { SpeechProcessor } from './SpeechProcessor.js';
-import { PATHS } from '../config/AudioConfig.js';
+import { AcousticAnalyzer } from './AcousticAnalyzer.js';
+import { ToneDetector } from './ToneDetector.js';
+import { CallToneClassifier } from './CallToneClassifier.js';
+import { DtmfDecoder } from './DtmfDecoder.js';
+import { AudioDiagnostics } from './AudioDiagnostics.js';
+import { AudioSegmenter } from './AudioSegmenter.js';
+import { WordTimingAnalyzer } from './WordTimingAnalyzer.js';
+import { OutcomeClassifier } from './OutcomeClassifier.js';
+import { CarrierAnnouncementMatcher } from './CarrierAnnouncementMatcher.js';
+import { RuleEngine } from './RuleEngine.js';
+import { BatchManifest } from './BatchManifest.js';
+import { RetryPolicy } from './RetryPolicy.js';
+import { WebhookNotifier } from './WebhookNotifier.js';
+import { PATHS, CALL_OUTCOMES, PROCESSING } from '../config/AudioConfig.js';
 
 /**
  * Batch Processor
@@ -58,78 +71,168 @@ export class BatchProcessor {
   }
 
   /**
-   * Updates PATHS configuration to use folder-specific output
-   * @param {string} folderName - Name of the source folder
-   * @returns {string} Original output directory path
+   * Runs an async worker over items with at most `concurrency` in flight
+   * @param {Array} items - Items to process
+   * @param {number} concurrency - Maximum number of concurrent workers
+   * @param {Function} worker - async (item, index) => result
+   * @param {AbortSignal} signal - Stops scheduling and returns early when aborted
+   * @returns {Promise<Array>} Results in the same order as items (unfinished items are empty when aborted)
    */
-  static updateOutputPaths(folderName) {
-    const originalOutputDir = PATHS.OUTPUT_DIR;
-    PATHS.OUTPUT_DIR = join(originalOutputDir, folderName);
-    return originalOutputDir;
-  }
+  static async mapWithConcurrency(items, concurrency, worker, signal = null) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
 
-  /**
-   * Restores original PATHS configuration
-   * @param {string} originalOutputDir - Original output directory path
-   */
-  static restoreOutputPaths(originalOutputDir) {
-    PATHS.OUTPUT_DIR = originalOutputDir;
+    // Each runner pulls the next unclaimed item until the list is exhausted
+    const runner = async () => {
+      while (nextIndex < items.length && !signal?.aborted) {
+        const index = nextIndex++;
+        results[index] = await worker(items[index], index);
+      }
+    };
+    
+    const runnerCount = Math.max(1, Math.min(concurrency, items.length));
+    const pool = Promise.all(Array.from({ length: runnerCount }, runner));
+    
+    if (!signal) {
+      await pool;
+      return results;
+    }
+    
+    // Once aborted, stop waiting for in-flight items and keep what has finished
+    const aborted = new Promise(resolve => {
+      if (signal.aborted) resolve();
+      signal.addEventListener('abort', resolve, { once: true });
+    });
+    await Promise.race([pool, aborted]);
+    
+    return results.slice();
   }
 
   /**
    * Processes a single file with complete pipeline
    * @param {string} baseId - Base identifier
-   * @param {string} sourcePath - Path to source data files
+   * @param {string} sourcePath - Path to source data files (defaults to PATHS.DATA_DIR)
+   * @param {Object} options - Workflow options ({ outputDir, onStage, reassemble, acoustic, acousticOnly, rulesPath, speechProvider, ... })
    * @returns {Promise<Object>} Processing result
    */
-  static async processCompleteWorkflow(baseId, sourcePath = null) {
+  static async processCompleteWorkflow(baseId, sourcePath = null, options = {}) {
     const startTime = Date.now();
+    const onStage = options.onStage || (async () => {});
+    let stage = 'wav';
     
     console.log(`Processing file: ${baseId}`);
     
     try {
-      // Temporarily update PATHS if custom source path provided
-      const originalDataDir = PATHS.DATA_DIR;
-      if (sourcePath) {
-        PATHS.DATA_DIR = sourcePath;
-      }
+      // Each job carries its own input/output directories so jobs can run in parallel
+      const jobOptions = {
+        ...options,
+        dataDir: sourcePath || options.dataDir || PATHS.DATA_DIR,
+        outputDir: options.outputDir || PATHS.OUTPUT_DIR
+      };
+      
+      // Rules only apply to transcripts
+      const ruleSet = options.acousticOnly ? null : await RuleEngine.loadRules(options.rulesPath);
       
       // Step 1: Convert binary data to WAV
       console.log('Converting binary data to WAV...');
-      const wavResult = await AudioProcessor.processAudio(baseId);
+      const { pcm, diagnostics, ...wavResult } = await AudioProcessor.processAudio(baseId, jobOptions);
+      await onStage('wav');
+      stage = 'transcription';
       
-      // Step 2: Convert WAV to text
-      console.log('Converting WAV to text...');
-      const textResult = await SpeechProcessor.processSpeech(baseId);
+      // Step 2: Analyze the audio signal
+      console.log('Analyzing audio signal...');
+      const analysisPcm = AudioSegmenter.truncate(pcm, options.analyzeSeconds);
+      const acoustic = AcousticAnalyzer.analyze(analysisPcm);
+      const callTones = CallToneClassifier.classify(analysisPcm);
+      const beep = CallToneClassifier.resolveBeep(callTones, ToneDetector.detectBeep(analysisPcm));
+      const dtmf = DtmfDecoder.detect(analysisPcm);
       
-      // Step 3: Analyze for answering machine
-      const answeringMachineDetected = this.detectAnsweringMachine(
-        textResult.transcription.transcribeText
-      );
+      if (beep.detected) {
+        console.log(`Beep detected: ${beep.frequency}Hz at ${(beep.startMs / 1000).toFixed(2)}s (${beep.durationMs}ms)`);
+      }
+      for (const signal of callTones.signals) {
+        console.log(`Call tone: ${signal.type}${signal.region ? ` (${signal.region})` : ''} ${signal.frequencies.join('+')}Hz at ${(signal.startMs / 1000).toFixed(2)}s (${signal.durationMs}ms)`);
+      }
+      if (dtmf.detected) {
+        console.log(`DTMF digits: ${dtmf.digits} from ${(dtmf.tones[0].startMs / 1000).toFixed(2)}s`);
+      }
+      
+      // Step 3: Convert WAV to text (skipped in acoustic-only mode)
+      let textResult = null;
+      if (!options.acousticOnly) {
+        console.log('Converting WAV to text...');
+        textResult = await SpeechProcessor.processSpeech(baseId, jobOptions);
+        await onStage('transcription');
+      }
+      stage = 'detection';
+      
+      // Step 4: Classify the call outcome
+      const transcript = textResult ? textResult.transcription.transcribeText : '';
+      const ruleEvaluation = textResult ? this.detectAnsweringMachine(transcript, ruleSet) : null;
+      const transcriptDetected = ruleEvaluation ? ruleEvaluation.detected : null;
+      const carrierAnnouncement = CarrierAnnouncementMatcher.match(transcript);
+      
+      if (carrierAnnouncement.matched) {
+        console.log(`Carrier announcement: ${carrierAnnouncement.carrier} / ${carrierAnnouncement.type}`);
+      }
+      
+      const wordTiming = textResult
+        ? WordTimingAnalyzer.analyze(textResult.transcription, { rules: ruleEvaluation, normalization: ruleSet.normalization, callTones })
+        : null;
       
-      // Restore original data directory
-      if (sourcePath) {
-        PATHS.DATA_DIR = originalDataDir;
+      if (wordTiming && wordTiming.features.wordCount > 0) {
+        const { firstWordMs, wordCount, wordsPerSecond, longestUtteranceMs } = wordTiming.features;
+        console.log(`Word timing: first word after ${(firstWordMs / 1000).toFixed(2)}s, ${wordCount} words, ${wordsPerSecond} words/s, longest utterance ${longestUtteranceMs}ms (${wordTiming.verdict.label})`);
       }
       
+      const outcome = OutcomeClassifier.classify({
+        transcriptDetected,
+        transcript,
+        acoustic,
+        useAcoustic: options.acoustic || options.acousticOnly,
+        beep,
+        callTones,
+        carrierAnnouncement,
+        wordTiming
+      });
+      const answeringMachineDetected = outcome.label === CALL_OUTCOMES.ANSWERING_MACHINE;
+      await onStage('detection');
+      
       const totalTime = ((Date.now() - startTime) / 1000).toFixed(2);
       
       console.log(`Completed ${baseId} in ${totalTime}s`);
       console.log(`Answering machine detected: ${answeringMachineDetected ? 'YES' : 'NO'}`);
+      console.log(`Call outcome: ${outcome.label} (${outcome.score.toFixed(2)})`);
       console.log('');
       
-      return {
+      const result = {
         baseId,
         success: true,
         processingTime: totalTime + 's',
         wav: wavResult,
         transcription: textResult,
+        outcome,
+        carrierAnnouncement,
+        callTones,
+        dtmf,
+        diagnostics,
         answeringMachine: {
           detected: answeringMachineDetected,
-          transcript: textResult.transcription.transcribeText,
-          confidence: textResult.transcription.transcribeConfidence
+          transcript,
+          confidence: textResult ? textResult.transcription.transcribeConfidence : acoustic.verdict.confidence,
+          transcriptDetected,
+          rules: ruleEvaluation,
+          acoustic: {
+            verdict: acoustic.verdict,
+            features: acoustic.features
+          },
+          wordTiming,
+          beep
         }
       };
+      WebhookNotifier.notifyCall(result, options);
+      
+      return result;
       
     } catch (error) {
       const totalTime = ((Date.now() - startTime) / 1000).toFixed(2);
@@ -137,168 +240,386 @@ export class BatchProcessor {
       console.error(`Failed ${baseId} in ${totalTime}s: ${error.message}`);
       console.log('');
       
-      return {
+      const result = {
         baseId,
         success: false,
         processingTime: totalTime + 's',
-        error: error.message
+        failedStage: stage,
+        ...RetryPolicy.getFailureDetails(error),
+        error: error.message,
+        diagnostics: AudioDiagnostics.fromError(error)
       };
+      WebhookNotifier.notifyCall(result, options);
+      
+      return result;
     }
   }
 
   /**
    * Processes all audio files in a folder
    * @param {string} folderPath - Path to folder containing audio files
-   * @returns {Promise<Object>} Batch processing result
+   * @param {Object} options - Workflow options passed to each file, plus { concurrency, resume, retryFailed, signal }
+   * @returns {Promise<Object>} Batch processing result (interrupted: true when stopped through the signal)
    */
-  static async processFolderBatch(folderPath) {
+  static async processFolderBatch(folderPath, options = {}) {
     const startTime = Date.now();
     const folderName = basename(folderPath);
+    const concurrency = options.concurrency || PROCESSING.CONCURRENCY;
     
     console.log(`Processing folder: ${folderPath}`);
     console.log('');
     
     try {
       // Create folder-specific output directory
-      await this.createOutputDirectory(folderName);
+      const outputDir = await this.createOutputDirectory(folderName);
       
-      // Update output paths to use folder-specific directory
-      const originalOutputDir = this.updateOutputPaths(folderName);
+      // Discover audio files
+      console.log('Discovering audio files...');
+      const baseIds = await this.discoverAudioFiles(folderPath);
       
-      try {
-        // Discover audio files
-        console.log('Discovering audio files...');
-        const baseIds = await this.discoverAudioFiles(folderPath);
-        
-        if (baseIds.length === 0) {
-          throw new Error(`No audio files found in ${folderPath}`);
-        }
+      if (baseIds.length === 0) {
+        throw new Error(`No audio files found in ${folderPath}`);
+      }
         
-        console.log(`Found ${baseIds.length} audio files: ${baseIds.join(', ')}`);
+      console.log(`Found ${baseIds.length} audio files: ${baseIds.join(', ')}`);
+      console.log('');
+      
+      // Record stage progress so an interrupted run can be resumed
+      const resume = options.resume || options.retryFailed;
+      const manifestPath = BatchManifest.getManifestPath(outputDir, folderName);
+      const manifest = await BatchManifest.load(manifestPath, folderPath, resume);
+      
+      if (resume) {
+        const statusCounts = BatchManifest.countByStatus(manifest, baseIds);
+        console.log(`Resuming from ${manifestPath}: ${statusCounts.completed} completed, ${statusCounts.failed} failed, ${statusCounts.in_progress + statusCounts.pending} remaining`);
         console.log('');
+      }
+      await BatchManifest.save(manifest);
+      
+      // Process files in parallel, keeping results in discovery order
+      const jobOptions = { ...options, outputDir };
+      let startedCount = 0;
+      let resumedCount = 0;
+      
+      if (concurrency > 1) {
+        console.log(`Processing with concurrency ${concurrency}`);
+        console.log('');
+      }
+      
+      const processed = await this.mapWithConcurrency(baseIds, concurrency, async baseId => {
+        startedCount++;
         
-        // Process each file
-        const results = [];
-        let successCount = 0;
-        let failureCount = 0;
-        let answeringMachineCount = 0;
-        
-        for (let i = 0; i < baseIds.length; i++) {
-          const baseId = baseIds[i];
-          
-          console.log(`Processing ${i + 1}/${baseIds.length}: ${baseId}`);
-          console.log('-'.repeat(50));
-          
-          const result = await this.processCompleteWorkflow(baseId, folderPath);
-          results.push(result);
-          
-          if (result.success) {
-            successCount++;
-            if (result.answeringMachine.detected) {
-              answeringMachineCount++;
-            }
-          } else {
-            failureCount++;
-          }
+        const recorded = resume ? await BatchManifest.getReusableResult(manifest, baseId, options.retryFailed) : null;
+        if (recorded) {
+          resumedCount++;
+          console.log(`Skipping ${startedCount}/${baseIds.length}: ${baseId} (${recorded.success ? 'completed' : 'failed'} in previous run)`);
+          return recorded;
         }
         
-        const totalTime = ((Date.now() - startTime) / 1000).toFixed(2);
+        console.log(`Processing ${startedCount}/${baseIds.length}: ${baseId}`);
+        console.log('-'.repeat(50));
         
-        // Generate summary
-        console.log('='.repeat(60));
-        console.log('BATCH PROCESSING SUMMARY');
-        console.log('='.repeat(60));
-        console.log(`Folder: ${folderPath}`);
-        console.log(`Total Time: ${totalTime}s`);
-        console.log(`Total Files: ${baseIds.length}`);
-        console.log(`Successful: ${successCount}`);
-        console.log(`Failed: ${failureCount}`);
-        console.log(`Answering Machines: ${answeringMachineCount}`);
-        console.log(`Success Rate: ${((successCount / baseIds.length) * 100).toFixed(1)}%`);
-        console.log(`Detection Rate: ${successCount > 0 ? ((answeringMachineCount / successCount) * 100).toFixed(1) : 0}%`);
-        console.log('');
+        await BatchManifest.startCall(manifest, baseId);
+        const result = await this.processCompleteWorkflow(baseId, folderPath, {
+          ...jobOptions,
+          onStage: stage => BatchManifest.completeStage(manifest, baseId, stage)
+        });
+        await BatchManifest.finishCall(manifest, baseId, result);
         
-        // List answering machine detections
-        if (answeringMachineCount > 0) {
-          console.log('ANSWERING MACHINE DETECTIONS:');
-          results
-            .filter(r => r.success && r.answeringMachine.detected)
-            .forEach(r => {
-              console.log(`  • ${r.baseId}: "${r.answeringMachine.transcript}"`);
-              console.log(`    Confidence: ${(r.answeringMachine.confidence * 100).toFixed(1)}%`);
-            });
-          console.log('');
+        return result;
+      }, options.signal);
+      
+      // An interrupted run only reports the calls that finished
+      const interrupted = Boolean(options.signal?.aborted);
+      const results = processed.filter(Boolean);
+      
+      let successCount = 0;
+      let failureCount = 0;
+      let answeringMachineCount = 0;
+      let cacheHits = 0;
+      let cacheMisses = 0;
+      const outcomeCounts = Object.fromEntries(
+        Object.values(CALL_OUTCOMES).map(outcome => [outcome, 0])
+      );
+      
+      for (const result of results) {
+        if (result.success) {
+          successCount++;
+          outcomeCounts[result.outcome.label]++;
+          if (result.answeringMachine.detected) {
+            answeringMachineCount++;
+          }
+          if (result.transcription) {
+            const cache = result.transcription.transcription.cache;
+            if (cache === 'hit') cacheHits++;
+            if (cache === 'miss') cacheMisses++;
+          }
+        } else {
+          failureCount++;
         }
+      }
         
-        const batchResult = {
-          folderPath,
-          folderName,
-          success: true,
-          processingTime: totalTime + 's',
-          summary: {
-            totalFiles: baseIds.length,
-            successCount,
-            failureCount,
-            answeringMachineCount,
-            successRate: (successCount / baseIds.length),
-            detectionRate: successCount > 0 ? (answeringMachineCount / successCount) : 0
-          },
-          results
-        };
+      const totalTime = ((Date.now() - startTime) / 1000).toFixed(2);
+      
+      // Generate summary
+      console.log('='.repeat(60));
+      console.log('BATCH PROCESSING SUMMARY');
+      console.log('='.repeat(60));
+      console.log(`Folder: ${folderPath}`);
+      console.log(`Total Time: ${totalTime}s`);
+      console.log(`Total Files: ${baseIds.length}`);
+      if (interrupted) {
+        console.log(`INTERRUPTED: ${results.length}/${baseIds.length} files finished (resume with --resume)`);
+      }
+      if (resumedCount > 0) {
+        console.log(`Reused From Previous Run: ${resumedCount}`);
+      }
+      console.log(`Successful: ${successCount}`);
+      console.log(`Failed: ${failureCount}`);
+      console.log(`Answering Machines: ${answeringMachineCount}`);
+      console.log(`Success Rate: ${results.length > 0 ? ((successCount / results.length) * 100).toFixed(1) : 0}%`);
+      console.log(`Detection Rate: ${successCount > 0 ? ((answeringMachineCount / successCount) * 100).toFixed(1) : 0}%`);
+      if (!options.acousticOnly) {
+        console.log(`Transcription Cache: ${options.noCache ? 'disabled' : `${cacheHits} hits, ${cacheMisses} misses`}`);
+      }
+      console.log('');
+      
+      // Outcome breakdown
+      console.log('CALL OUTCOMES:');
+      Object.entries(outcomeCounts).forEach(([outcome, count]) => {
+        console.log(`  ${outcome}: ${count}`);
+      });
+      console.log('');
+      
+      // Audio quality across the folder
+      const diagnostics = AudioDiagnostics.summarize(results);
+      if (diagnostics.diagnosedCount > 0) {
+        console.log('AUDIO QUALITY:');
+        console.log(`  ok: ${diagnostics.statusCounts.ok}, flagged: ${diagnostics.statusCounts.flagged}, failed: ${diagnostics.statusCounts.failed}`);
+        Object.entries(diagnostics.issueCounts).forEach(([issue, count]) => {
+          console.log(`  ${issue}: ${count}`);
+        });
+        console.log(`  Average speech level: ${diagnostics.averageSpeechLevelDbfs?.toFixed(1) ?? '-'} dBFS, SNR: ${diagnostics.averageSnrDb?.toFixed(1) ?? '-'} dB`);
+        console.log('');
+      }
+      
+      // List answering machine detections
+      if (answeringMachineCount > 0) {
+        console.log('ANSWERING MACHINE DETECTIONS:');
+        results
+          .filter(r => r.success && r.answeringMachine.detected)
+          .forEach(r => {
+            console.log(`  • ${r.baseId}: "${r.answeringMachine.transcript}"`);
+            console.log(`    Confidence: ${(r.answeringMachine.confidence * 100).toFixed(1)}%`);
+          });
+        console.log('');
+      }
         
-        return batchResult;
+      const batchResult = {
+        folderPath,
+        folderName,
+        outputDir,
+        manifestPath,
+        success: true,
+        interrupted,
+        processingTime: totalTime + 's',
+        summary: {
+          totalFiles: baseIds.length,
+          finishedFiles: results.length,
+          resumedCount,
+          successCount,
+          failureCount,
+          answeringMachineCount,
+          outcomeCounts,
+          cacheHits,
+          cacheMisses,
+          diagnostics,
+          successRate: results.length > 0 ? (successCount / results.length) : 0,
+          detectionRate: successCount > 0 ? (answeringMachineCount / successCount) : 0
+        },
+        results
+      };
+      
+      // Per-call deliveries were queued as calls finished; wait for them with the batch event
+      WebhookNotifier.notifyBatch(batchResult, options);
+      await WebhookNotifier.flush();
         
-      } finally {
-        // Always restore original output paths
-        this.restoreOutputPaths(originalOutputDir);
-      }
+      return batchResult;
       
     } catch (error) {
       const totalTime = ((Date.now() - startTime) / 1000).toFixed(2);
       
       console.error(`Batch processing failed in ${totalTime}s: ${error.message}`);
       
-      return {
+      const batchResult = {
         folderPath,
         folderName: basename(folderPath),
         success: false,
         processingTime: totalTime + 's',
         error: error.message
       };
+      WebhookNotifier.notifyBatch(batchResult, options);
+      await WebhookNotifier.flush();
+      
+      return batchResult;
     }
   }
 
   /**
    * Detects answering machine patterns in transcript
    * @param {string} transcript - Transcript text
-   * @returns {boolean} True if answering machine detected
+   * @param {Object} ruleSet - Compiled rule set from RuleEngine.loadRules
+   * @returns {Object} Rule evaluation ({ detected, score, threshold, firedRules })
    */
-  static detectAnsweringMachine(transcript) {
-    if (!transcript || typeof transcript !== 'string') {
-      return false;
-    }
-    
-    const text = transcript.toLowerCase();
-    
-    // Japanese answering machine patterns
-    const japanesePatterns = [
-      '留守番電話', '留守電', 'るすでん', '不在',
-      'ただいま', '外出中', '電話に出ることができません',
-      'メッセージ', 'お話しください', 'お名前', 'ご用件',
-      'しばらくお待ちください', '後ほど', 'かけ直し'
+  static detectAnsweringMachine(transcript, ruleSet) {
+    return RuleEngine.evaluate(transcript, ruleSet);
+  }
+
+  /**
+   * Formats per-class outcome scores for a single CSV cell
+   * @param {Object} scores - Scores keyed by outcome
+   * @returns {string} Scores as "outcome=score;..."
+   */
+  static formatOutcomeScores(scores) {
+    return Object.entries(scores)
+      .map(([outcome, score]) => `${outcome}=${score.toFixed(3)}`)
+      .join(';');
+  }
+
+  /**
+   * Gets the results CSV path of a folder
+   * @param {string} outputDir - Folder-specific output directory
+   * @param {string} folderName - Name of the source folder
+   * @returns {string} CSV file path
+   */
+  static getCsvPath(outputDir, folderName) {
+    return join(outputDir, `${folderName}-results.csv`);
+  }
+
+  /**
+   * Gets the CSV header row
+   * @returns {Array<string>} Column names
+   */
+  static getCsvHeaders() {
+    // CSV headers as specified in japanese
+    return [
+      'id',
+      'テキスト', 
+      'テキスト信頼度',
+      '機械音声判定',
+      '通話結果',
+      '判定スコア',
+      'クラス別スコア',
+      'ルールスコア',
+      '発火ルール',
+      'キャリア',
+      'アナウンス種別',
+      '音響判定',
+      '初期無音(ms)',
+      '挨拶長(ms)',
+      'ポーズ数',
+      '発話タイミング判定',
+      '初回発話(ms)',
+      '発話時間(ms)',
+      '発話速度(語/s)',
+      '最長発話(ms)',
+      'フレーズ発話(s)',
+      'ビープ周波数(Hz)',
+      'ビープ開始(s)',
+      'ビープ長(ms)',
+      'トーン判定',
+      'トーン開始(s)',
+      'DTMF',
+      '音質判定',
+      '音質問題',
+      '音声レベル(dBFS)',
+      'SNR(dB)',
+      '無音率',
+      'クリップ率',
+      'タイミング欠落数',
+      '最大欠落(ms)',
+      'バースト数',
+      '逆順タイムスタンプ',
+      '不正フレーム数',
+      'サイズ差(bytes)',
+      'wavファイルパス',
+      'txtファイルパス',
+      '処理時間',
+      '成功',
+      'エラー',
+      '試行回数',
+      'エラー種別',
+      '手動判定',
     ];
-    
-    // English answering machine patterns
-    const englishPatterns = [
-      'voicemail', 'answering machine', 'leave a message',
-      'not available', 'away from', 'please leave',
-      'after the tone', 'beep', 'recording',
-      'currently unavailable', 'please call back'
+  }
+
+  /**
+   * Finds when the reported call tone first starts
+   * @param {Object} callTones - Result from CallToneClassifier.classify
+   * @returns {number} Start of the first signal of the reported label, in ms
+   */
+  static getCallToneStartMs(callTones) {
+    return callTones.signals.find(signal => signal.type === callTones.label).startMs;
+  }
+
+  /**
+   * Formats one result as a CSV row
+   * @param {Object} result - Result from processCompleteWorkflow
+   * @returns {string} CSV row without line break
+   */
+  static formatCsvRow(result) {
+    const diagnostics = result.diagnostics; // Missing in results recorded before diagnostics existed
+    const wordTiming = result.success ? result.answeringMachine.wordTiming : null; // Null without a transcript, missing in older results
+    const row = [
+      `"${result.baseId}"`,
+      `"${result.success ? (result.answeringMachine.transcript || '').replace(/"/g, '""') : ''}"`,
+      result.success ? result.answeringMachine.confidence.toFixed(3) : '',
+      result.success ? (result.answeringMachine.detected ? 'TRUE' : 'FALSE') : '',
+      result.success ? result.outcome.label : '',
+      result.success ? result.outcome.score.toFixed(3) : '',
+      result.success ? `"${this.formatOutcomeScores(result.outcome.scores)}"` : '',
+      result.success && result.answeringMachine.rules ? result.answeringMachine.rules.score.toFixed(3) : '',
+      result.success && result.answeringMachine.rules ? `"${result.answeringMachine.rules.firedRules.map(r => r.id).join(';')}"` : '',
+      result.success && result.carrierAnnouncement.matched ? result.carrierAnnouncement.carrier : '',
+      result.success && result.carrierAnnouncement.matched ? result.carrierAnnouncement.type : '',
+      result.success ? result.answeringMachine.acoustic.verdict.label : '',
+      result.success ? result.answeringMachine.acoustic.features.initialSilenceMs : '',
+      result.success ? result.answeringMachine.acoustic.features.greetingMs : '',
+      result.success ? result.answeringMachine.acoustic.features.pauseCount : '',
+      wordTiming ? wordTiming.verdict.label : '',
+      wordTiming?.features.firstWordMs ?? '',
+      wordTiming ? wordTiming.features.speechMs : '',
+      wordTiming ? wordTiming.features.wordsPerSecond : '',
+      wordTiming ? wordTiming.features.longestUtteranceMs : '',
+      wordTiming && wordTiming.features.matchedPhraseMs !== null ? (wordTiming.features.matchedPhraseMs / 1000).toFixed(2) : '',
+      result.success && result.answeringMachine.beep.detected ? result.answeringMachine.beep.frequency : '',
+      result.success && result.answeringMachine.beep.detected ? (result.answeringMachine.beep.startMs / 1000).toFixed(2) : '',
+      result.success && result.answeringMachine.beep.detected ? result.answeringMachine.beep.durationMs : '',
+      result.success && result.callTones?.detected ? result.callTones.label : '',
+      result.success && result.callTones?.detected ? (this.getCallToneStartMs(result.callTones) / 1000).toFixed(2) : '',
+      result.success && result.dtmf?.detected ? `"${result.dtmf.digits}"` : '',
+      diagnostics ? diagnostics.status : '',
+      diagnostics ? `"${diagnostics.issues.map(issue => issue.issue).join(';')}"` : '',
+      diagnostics?.signal.speechLevelDbfs ?? '',
+      diagnostics?.signal.snrDb ?? '',
+      diagnostics ? diagnostics.signal.silenceRatio.toFixed(3) : '',
+      diagnostics ? diagnostics.signal.clippingRatio.toFixed(4) : '',
+      diagnostics ? diagnostics.timing.gapCount : '',
+      diagnostics ? diagnostics.timing.longestGapMs : '',
+      diagnostics ? diagnostics.timing.burstCount : '',
+      diagnostics ? diagnostics.timing.nonMonotonic : '',
+      diagnostics ? diagnostics.timing.oddFrameCount : '',
+      diagnostics ? diagnostics.timing.sizeMismatchBytes : '',
+      result.success ? `"${result.wav.files.wavFile}"` : '',
+      result.success && result.transcription ? `"${result.transcription.files.txtFile}"` : '',
+      `"${result.processingTime}"`,
+      result.success ? 'TRUE' : 'FALSE',
+      result.success ? '' : `"${(result.error || '').replace(/"/g, '""')}"`,
+      result.success ? (result.transcription ? result.transcription.transcription.attempts : '') : (result.attempts ?? ''),
+      result.success ? '' : (result.errorClass || ''),
+      '' // Manual judgment column - empty by default
     ];
-    
-    const allPatterns = [...japanesePatterns, ...englishPatterns];
-    
-    return allPatterns.some(pattern => text.includes(pattern));
+    return row.join(',');
   }
 
   /**
@@ -307,41 +628,14 @@ export class BatchProcessor {
    * @returns {Promise<string>} Path to saved CSV file
    */
   static async exportResultsToCSV(batchResult) {
-    const csvFilename = `${batchResult.folderName}-results.csv`;
-    const csvPath = join(PATHS.OUTPUT_DIR, batchResult.folderName, csvFilename);
+    const csvPath = this.getCsvPath(batchResult.outputDir, batchResult.folderName);
     
     try {
-      // CSV headers as specified in japanese
-      const headers = [
-        'id',
-        'テキスト', 
-        'テキスト信頼度',
-        '機械音声判定',
-        'wavファイルパス',
-        'txtファイルパス',
-        '処理時間',
-        '成功',
-        'エラー',
-        '手動判定',
-      ];
-      
       // Generate CSV rows
-      const csvRows = [headers.join(',')];
+      const csvRows = [this.getCsvHeaders().join(',')];
       
       for (const result of batchResult.results) {
-        const row = [
-          `"${result.baseId}"`,
-          `"${result.success ? (result.answeringMachine.transcript || '').replace(/"/g, '""') : ''}"`,
-          result.success ? result.answeringMachine.confidence.toFixed(3) : '',
-          result.success ? (result.answeringMachine.detected ? 'TRUE' : 'FALSE') : '',
-          result.success ? `"${result.wav.files.wavFile}"` : '',
-          result.success ? `"${result.transcription.files.txtFile}"` : '',
-          `"${result.processingTime}"`,
-          result.success ? 'TRUE' : 'FALSE',
-          result.success ? '' : `"${(result.error || '').replace(/"/g, '""')}"`,
-          '' // Manual judgment column - empty by default
-        ];
-        csvRows.push(row.join(','));
+        csvRows.push(this.formatCsvRow(result));
       }
       
       const csvContent = csvRows.join('\n');
@@ -361,6 +655,28 @@ export class BatchProcessor {
     }
   }
 
+  /**
+   * Appends one result to a folder CSV, creating the file with headers when missing (callers
+   * serialise appends to the same file, see FolderWatcher.appendToCsv)
+   * @param {string} csvPath - CSV file path
+   * @param {Object} result - Result from processCompleteWorkflow
+   * @returns {Promise<void>}
+   */
+  static async appendResultToCSV(csvPath, result) {
+    let exists = true;
+    try {
+      await fs.access(csvPath);
+    } catch {
+      exists = false;
+    }
+    
+    // Rows already in the file (and any manual labels in them) are left untouched
+    const content = exists
+      ? `\n${this.formatCsvRow(result)}`
+      : `\uFEFF${this.getCsvHeaders().join(',')}\n${this.formatCsvRow(result)}`;
+    await fs.appendFile(csvPath, content, 'utf8');
+  }
+
   /**
    * Saves batch processing results to JSON file (deprecated, use CSV export)
    * @param {Object} batchResult - Result from processFolderBatch
@@ -369,7 +685,7 @@ export class BatchProcessor {
   static async saveBatchResults(batchResult) {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     const filename = `batch-results-${batchResult.folderName}-${timestamp}.json`;
-    const outputPath = join(PATHS.OUTPUT_DIR, batchResult.folderName, filename);
+    const outputPath = join(batchResult.outputDir, filename);
     
     try {
       await fs.writeFile(outputPath, JSON.stringify(batchResult, null, 2), 'utf8');
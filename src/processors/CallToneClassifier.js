@@ -0,0 +1,274 @@
+import { AudioProcessor } from './AudioProcessor.js';
+import { ToneDetector } from './ToneDetector.js';
+import { AUDIO_CONFIG, CALL_TONES, CALL_OUTCOMES } from '../config/AudioConfig.js';
+
+// Call outcome implied by each signal type; ringback and busy are reported only
+const SIGNAL_OUTCOMES = {
+  fax_cng: CALL_OUTCOMES.FAX_MODEM,
+  answer_tone: CALL_OUTCOMES.FAX_MODEM,
+  sit: CALL_OUTCOMES.SPECIAL_INFORMATION_TONE,
+  busy: null,
+  ringback: null
+};
+
+// Reported label when several signal types are present, strongest first
+const SIGNAL_PRIORITY = ['fax_cng', 'answer_tone', 'sit', 'busy', 'ringback'];
+
+/**
+ * Call Tone Classifier
+ * Recognises fax/modem tones, special information tones and ringback/busy cadences
+ */
+export class CallToneClassifier {
+
+  /**
+   * Labels each frame with the signature tone it carries
+   * @param {Int16Array} samples - Audio samples
+   * @param {number} fromFrame - First frame to label (earlier frames were labelled before)
+   * @returns {Array<string|null>} Tone name (a CALL_TONES.TONES key) or null per frame from fromFrame
+   */
+  static labelFrames(samples, fromFrame = 0) {
+    const frameSamples = AUDIO_CONFIG.SAMPLE_RATE * CALL_TONES.FRAME_DURATION_MS / 1000;
+    const tones = Object.entries(CALL_TONES.TONES);
+    const labels = [];
+    
+    for (let start = fromFrame * frameSamples; start + frameSamples <= samples.length; start += frameSamples) {
+      const energy = ToneDetector.energy(samples, start, frameSamples);
+      if (Math.sqrt(energy / frameSamples) < CALL_TONES.MIN_RMS) {
+        labels.push(null);
+        continue;
+      }
+      
+      let label = null;
+      let best = CALL_TONES.MIN_PURITY;
+      for (const [name, frequencies] of tones) {
+        const purity = frequencies.reduce((sum, frequency) =>
+          sum + ToneDetector.purity(ToneDetector.goertzelPower(samples, start, frameSamples, frequency), energy, frameSamples), 0);
+        if (purity >= best) {
+          best = purity;
+          label = name;
+        }
+      }
+      labels.push(label);
+    }
+    
+    return labels;
+  }
+
+  /**
+   * Merges labelled frames into tone segments, bridging short dropouts
+   * @param {Array<string|null>} labels - Result from labelFrames
+   * @returns {Array} Segments as {tone, startMs, endMs, durationMs}
+   */
+  static findSegments(labels) {
+    const frameMs = CALL_TONES.FRAME_DURATION_MS;
+    const segments = [];
+    
+    labels.forEach((tone, frame) => {
+      if (!tone) return;
+      
+      const previous = segments[segments.length - 1];
+      if (previous && previous.tone === tone && frame * frameMs - previous.endMs <= CALL_TONES.MAX_GAP_MS) {
+        previous.endMs = (frame + 1) * frameMs;
+      } else {
+        segments.push({ tone, startMs: frame * frameMs, endMs: (frame + 1) * frameMs });
+      }
+    });
+    
+    return segments.map(segment => ({ ...segment, durationMs: segment.endMs - segment.startMs }));
+  }
+
+  /**
+   * Checks a duration against a nominal value with the cadence tolerance
+   * @param {number} actualMs - Measured duration
+   * @param {number} nominalMs - Expected duration
+   * @returns {boolean} True when within tolerance
+   */
+  static matchesDuration(actualMs, nominalMs) {
+    // Frame quantisation can add or remove one frame at either end
+    const slack = nominalMs * CALL_TONES.CADENCE_TOLERANCE + CALL_TONES.FRAME_DURATION_MS;
+    return Math.abs(actualMs - nominalMs) <= slack;
+  }
+
+  /**
+   * Finds fax calling tones and fax/modem answer tones
+   * @param {Array} segments - Result from findSegments
+   * @returns {Array} Signals
+   */
+  static findFaxSignals(segments) {
+    const signals = [];
+    
+    const cngBursts = segments.filter(segment => segment.tone === 'FAX_CNG' &&
+      segment.durationMs >= CALL_TONES.FAX_CNG.MIN_MS && segment.durationMs <= CALL_TONES.FAX_CNG.MAX_MS);
+    if (cngBursts.length >= CALL_TONES.FAX_CNG.MIN_BURSTS) {
+      const last = cngBursts[cngBursts.length - 1];
+      signals.push({
+        type: 'fax_cng',
+        frequencies: CALL_TONES.TONES.FAX_CNG,
+        startMs: cngBursts[0].startMs,
+        durationMs: last.endMs - cngBursts[0].startMs,
+        cycles: cngBursts.length
+      });
+    }
+    
+    for (const segment of segments) {
+      if (CALL_TONES.ANSWER.TONES.includes(segment.tone) && segment.durationMs >= CALL_TONES.ANSWER.MIN_MS) {
+        signals.push({ type: 'answer_tone', frequencies: CALL_TONES.TONES[segment.tone], startMs: segment.startMs, durationMs: segment.durationMs });
+      }
+    }
+    
+    return signals;
+  }
+
+  /**
+   * Finds three-tone special information tone sequences
+   * @param {Array} segments - Result from findSegments
+   * @returns {Array} Signals
+   */
+  static findSitSignals(segments) {
+    const { STEPS, MIN_MS, MAX_MS, MAX_GAP_MS } = CALL_TONES.SIT;
+    const signals = [];
+    
+    for (let i = 0; i + STEPS.length <= segments.length; i++) {
+      const sequence = segments.slice(i, i + STEPS.length);
+      const matches = sequence.every((segment, step) =>
+        STEPS[step].includes(segment.tone) &&
+        segment.durationMs >= MIN_MS && segment.durationMs <= MAX_MS &&
+        (step === 0 || segment.startMs - sequence[step - 1].endMs <= MAX_GAP_MS));
+      
+      if (matches) {
+        const last = sequence[sequence.length - 1];
+        signals.push({
+          type: 'sit',
+          frequencies: sequence.flatMap(segment => CALL_TONES.TONES[segment.tone]),
+          startMs: sequence[0].startMs,
+          durationMs: last.endMs - sequence[0].startMs
+        });
+        i += STEPS.length - 1;
+      }
+    }
+    
+    return signals;
+  }
+
+  /**
+   * Finds ringback and busy cadences: repeated on/off periods of one tone
+   * @param {Array} segments - Result from findSegments
+   * @returns {Array} Signals
+   */
+  static findCadenceSignals(segments) {
+    const signals = [];
+    
+    for (const cadence of CALL_TONES.CADENCES) {
+      const bursts = segments.filter(segment => segment.tone === cadence.tone);
+      let run = [];
+      
+      const flush = () => {
+        if (run.length >= CALL_TONES.MIN_CADENCE_CYCLES) {
+          const last = run[run.length - 1];
+          signals.push({
+            type: cadence.type,
+            region: cadence.region,
+            frequencies: CALL_TONES.TONES[cadence.tone],
+            startMs: run[0].startMs,
+            durationMs: last.endMs - run[0].startMs,
+            cycles: run.length
+          });
+        }
+        run = [];
+      };
+      
+      for (const burst of bursts) {
+        const previous = run[run.length - 1];
+        const continues = previous && this.matchesDuration(burst.startMs - previous.endMs, cadence.offMs);
+        
+        if (!continues) flush();
+        if (this.matchesDuration(burst.durationMs, cadence.onMs)) {
+          run.push(burst);
+        } else {
+          flush();
+        }
+      }
+      flush();
+    }
+    
+    return signals;
+  }
+
+  /**
+   * Classifies the tone signatures in PCM audio
+   * @param {Buffer} pcm - 16-bit little-endian PCM audio
+   * @returns {Object} { detected, label, outcome, signals, pending } (signals in time order)
+   */
+  static classify(pcm) {
+    return this.classifyLabels(this.labelFrames(AudioProcessor.toSamples(pcm)));
+  }
+
+  /**
+   * Classifies the tone signatures in labelled frames
+   * @param {Array<string|null>} labels - Result from labelFrames
+   * @returns {Object} { detected, label, outcome, signals, pending } (signals in time order)
+   */
+  static classifyLabels(labels) {
+    const segments = this.findSegments(labels);
+    
+    const signals = [
+      ...this.findFaxSignals(segments),
+      ...this.findSitSignals(segments),
+      ...this.findCadenceSignals(segments)
+    ].sort((a, b) => a.startMs - b.startMs);
+    
+    const label = SIGNAL_PRIORITY.find(type => signals.some(signal => signal.type === type)) || null;
+    
+    // A recent tone outside every signal may still turn out to be ringback, busy or SIT
+    const audioMs = labels.length * CALL_TONES.FRAME_DURATION_MS;
+    const pending = segments.some(segment =>
+      segment.endMs >= audioMs - CALL_TONES.PENDING_MS &&
+      !signals.some(signal => segment.startMs >= signal.startMs && segment.endMs <= signal.startMs + signal.durationMs));
+    
+    return {
+      detected: signals.length > 0,
+      label,
+      outcome: label ? SIGNAL_OUTCOMES[label] : null,
+      signals,
+      pending
+    };
+  }
+
+  /**
+   * Finds when the call was answered: ringback only plays before that
+   * @param {Object} callTones - Result from classify
+   * @returns {number} End of the last ringback signal in ms (0 without ringback)
+   */
+  static getRingbackEndMs(callTones) {
+    return callTones.signals
+      .filter(signal => signal.type === 'ringback')
+      .reduce((end, signal) => Math.max(end, signal.startMs + signal.durationMs), 0);
+  }
+
+  /**
+   * Checks whether a tone is part of a classified signal (e.g. a SIT segment or ringback burst)
+   * @param {Object} callTones - Result from classify
+   * @param {Object} tone - Tone as {startMs, durationMs}
+   * @returns {boolean} True when the tone falls inside a signal
+   */
+  static explainsTone(callTones, tone) {
+    return callTones.signals.some(signal =>
+      tone.startMs + tone.durationMs > signal.startMs && tone.startMs < signal.startMs + signal.durationMs);
+  }
+
+  /**
+   * Picks the beep evidence: the first tone found by ToneDetector that no signal explains
+   * @param {Object} callTones - Result from classify
+   * @param {Object} beep - Result from ToneDetector.detectBeep
+   * @returns {Object} The beep result for that tone (not detected when every tone is explained)
+   */
+  static resolveBeep(callTones, beep) {
+    if (!callTones || !beep || !beep.detected) return beep;
+    
+    const tone = beep.tones.find(candidate => !this.explainsTone(callTones, candidate));
+    if (!tone) {
+      return { detected: false, frequency: null, startMs: null, durationMs: null, purity: null, tones: beep.tones };
+    }
+    return { detected: true, ...tone, tones: beep.tones };
+  }
+} 
\ No newline at end of file
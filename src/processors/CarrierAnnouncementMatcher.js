@@ -0,0 +1,102 @@
+import { TextNormalizer } from './TextNormalizer.js';
+import {
+  CARRIER_ANNOUNCEMENTS,
+  CARRIER_MARKERS,
+  CARRIERS
+} from '../config/CarrierAnnouncements.js';
+
+/**
+ * Carrier Announcement Matcher
+ * Identifies operator network announcements and the carrier that played them
+ */
+export class CarrierAnnouncementMatcher {
+
+  /**
+   * Checks whether a carrier name occurs in the transcript
+   * @param {string} marker - Carrier name from CARRIER_MARKERS
+   * @param {string} transcript - Transcript text
+   * @param {string} normalizedText - Normalized transcript
+   * @returns {boolean} True when the name was spoken
+   */
+  static hasMarker(marker, transcript, normalizedText) {
+    // Normalization removes spaces, so short Latin names ("au") need letter boundaries in the original
+    if (/^[a-z]+$/i.test(marker)) {
+      return new RegExp(`(?<![a-z])${marker}(?![a-z])`, 'i').test(transcript.normalize('NFKC'));
+    }
+    return normalizedText.includes(TextNormalizer.normalize(marker));
+  }
+
+  /**
+   * Identifies the carrier from names spoken in the announcement
+   * @param {string} transcript - Transcript text
+   * @param {string} normalizedText - Normalized transcript
+   * @returns {string|null} Carrier identifier or null
+   */
+  static findCarrierMarker(transcript, normalizedText) {
+    for (const [carrier, markers] of Object.entries(CARRIER_MARKERS)) {
+      if (markers.some(marker => this.hasMarker(marker, transcript, normalizedText))) {
+        return carrier;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Orders template matches from best to worst
+   * @param {Object} a - Candidate match
+   * @param {Object} b - Candidate match
+   * @returns {number} Negative when a is better than b
+   */
+  static compareCandidates(a, b) {
+    return (a.distance - b.distance) ||
+      (Number(b.specific) - Number(a.specific)) ||
+      (b.pattern.length - a.pattern.length);
+  }
+
+  /**
+   * Matches a transcript against the carrier announcement catalogue
+   * @param {string} transcript - Transcript text
+   * @returns {Object} { matched, carrier, type, templateId, pattern, distance }
+   */
+  static match(transcript) {
+    const noMatch = { matched: false, carrier: null, type: null, templateId: null, pattern: null, distance: null };
+    
+    if (!transcript || typeof transcript !== 'string') {
+      return noMatch;
+    }
+    
+    const text = TextNormalizer.normalize(transcript);
+    let best = null;
+    
+    // Closest match first, then carrier-specific wording over generic templates,
+    // then the longest pattern
+    for (const template of CARRIER_ANNOUNCEMENTS) {
+      const specific = template.carrier !== CARRIERS.UNKNOWN;
+      for (const pattern of template.patterns) {
+        const normalizedPattern = TextNormalizer.normalize(pattern);
+        const found = TextNormalizer.findMatch(text, normalizedPattern);
+        if (!found) continue;
+        
+        const candidate = { template, pattern: normalizedPattern, specific, distance: found.distance };
+        if (!best || this.compareCandidates(candidate, best) < 0) {
+          best = candidate;
+        }
+      }
+    }
+    
+    if (!best) {
+      return noMatch;
+    }
+    
+    const carrier = this.findCarrierMarker(transcript, text) || best.template.carrier || CARRIERS.UNKNOWN;
+    
+    return {
+      matched: true,
+      carrier,
+      type: best.template.type,
+      templateId: best.template.id,
+      pattern: best.pattern,
+      distance: best.distance
+    };
+  }
+} 
\ No newline at end of file
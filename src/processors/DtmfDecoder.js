@@ -0,0 +1,101 @@
+import { AudioProcessor } from './AudioProcessor.js';
+import { ToneDetector } from './ToneDetector.js';
+import { AUDIO_CONFIG, DTMF } from '../config/AudioConfig.js';
+
+/**
+ * DTMF Decoder
+ * Finds keypad digits (dual-tone multi-frequency signalling) with the Goertzel algorithm
+ */
+export class DtmfDecoder {
+
+  /**
+   * Finds the strongest tone of a frequency group
+   * @param {Int16Array} samples - Audio samples
+   * @param {number} start - First sample index
+   * @param {number} length - Number of samples
+   * @param {Array<number>} frequencies - Group frequencies in Hz
+   * @returns {Object} { index, power, runnerUp }
+   */
+  static strongestTone(samples, start, length, frequencies) {
+    const powers = frequencies.map(frequency => ToneDetector.goertzelPower(samples, start, length, frequency));
+    const index = powers.indexOf(Math.max(...powers));
+    const runnerUp = Math.max(...powers.filter((power, i) => i !== index));
+    return { index, power: powers[index], runnerUp };
+  }
+
+  /**
+   * Decodes the digit carried by one frame
+   * @param {Int16Array} samples - Audio samples
+   * @param {number} start - First sample index
+   * @param {number} length - Number of samples
+   * @returns {Object|null} { digit, purity, twistDb }, or null when the frame holds no digit
+   */
+  static decodeFrame(samples, start, length) {
+    const energy = ToneDetector.energy(samples, start, length);
+    if (Math.sqrt(energy / length) < DTMF.MIN_RMS) return null;
+    
+    const low = this.strongestTone(samples, start, length, DTMF.LOW_FREQUENCIES);
+    const high = this.strongestTone(samples, start, length, DTMF.HIGH_FREQUENCIES);
+    
+    // Exactly one tone per group, clearly ahead of its neighbours
+    if (low.power < low.runnerUp * DTMF.MIN_PEAK_RATIO || high.power < high.runnerUp * DTMF.MIN_PEAK_RATIO) {
+      return null;
+    }
+    
+    const purity = ToneDetector.purity(low.power, energy, length) + ToneDetector.purity(high.power, energy, length);
+    if (purity < DTMF.MIN_PURITY) return null;
+    
+    // Positive twist: the column (high) tone is louder than the row tone
+    const twistDb = 10 * Math.log10(high.power / low.power);
+    if (Math.abs(twistDb) > DTMF.MAX_TWIST_DB) return null;
+    
+    return { digit: DTMF.KEYS[low.index][high.index], purity: Math.min(1, purity), twistDb };
+  }
+
+  /**
+   * Detects DTMF digits in PCM audio
+   * @param {Buffer} pcm - 16-bit little-endian PCM audio
+   * @returns {Object} { detected, digits, tones } with tones as {digit, startMs, endMs, durationMs, purity, twistDb}
+   */
+  static detect(pcm) {
+    const samples = AudioProcessor.toSamples(pcm);
+    const frameSamples = AUDIO_CONFIG.SAMPLE_RATE * DTMF.FRAME_DURATION_MS / 1000;
+    const stepSamples = AUDIO_CONFIG.SAMPLE_RATE * DTMF.FRAME_STEP_MS / 1000;
+    const runs = [];
+    
+    for (let start = 0; start + frameSamples <= samples.length; start += stepSamples) {
+      const frame = this.decodeFrame(samples, start, frameSamples);
+      if (!frame) continue;
+      
+      const startMs = start / stepSamples * DTMF.FRAME_STEP_MS;
+      const endMs = startMs + DTMF.FRAME_DURATION_MS;
+      const previous = runs[runs.length - 1];
+      
+      // Consecutive frames of one digit (allowing short dropouts) are one key press
+      if (previous && previous.digit === frame.digit && startMs - previous.endMs <= DTMF.MAX_GAP_MS) {
+        previous.endMs = endMs;
+        previous.frames.push(frame);
+      } else {
+        runs.push({ digit: frame.digit, startMs, endMs, frames: [frame] });
+      }
+    }
+    
+    const mean = (frames, key) => frames.reduce((sum, frame) => sum + frame[key], 0) / frames.length;
+    const tones = runs
+      .map(run => ({
+        digit: run.digit,
+        startMs: run.startMs,
+        endMs: run.endMs,
+        durationMs: run.endMs - run.startMs,
+        purity: Number(mean(run.frames, 'purity').toFixed(3)),
+        twistDb: Number(mean(run.frames, 'twistDb').toFixed(1))
+      }))
+      .filter(tone => tone.durationMs >= DTMF.MIN_DURATION_MS);
+    
+    return {
+      detected: tones.length > 0,
+      digits: tones.map(tone => tone.digit).join(''),
+      tones
+    };
+  }
+} 
\ No newline at end of file
@@ -0,0 +1,370 @@
+import { promises as fs } from 'fs';
+import { join, dirname, basename, normalize } from 'path';
+import { CALL_OUTCOMES, PATHS } from '../config/AudioConfig.js';
+
+// Values reviewers write in the 手動判定 column, mapped to call outcomes
+const MANUAL_LABELS = {
+  'true': CALL_OUTCOMES.ANSWERING_MACHINE,
+  '1': CALL_OUTCOMES.ANSWERING_MACHINE,
+  'yes': CALL_OUTCOMES.ANSWERING_MACHINE,
+  '○': CALL_OUTCOMES.ANSWERING_MACHINE,
+  'はい': CALL_OUTCOMES.ANSWERING_MACHINE,
+  '機械': CALL_OUTCOMES.ANSWERING_MACHINE,
+  '留守電': CALL_OUTCOMES.ANSWERING_MACHINE,
+  '留守番電話': CALL_OUTCOMES.ANSWERING_MACHINE,
+  'false': CALL_OUTCOMES.HUMAN,
+  '0': CALL_OUTCOMES.HUMAN,
+  'no': CALL_OUTCOMES.HUMAN,
+  '×': CALL_OUTCOMES.HUMAN,
+  'いいえ': CALL_OUTCOMES.HUMAN,
+  '人': CALL_OUTCOMES.HUMAN,
+  '人間': CALL_OUTCOMES.HUMAN,
+  'アナウンス': CALL_OUTCOMES.CARRIER_ANNOUNCEMENT,
+  'キャリア': CALL_OUTCOMES.CARRIER_ANNOUNCEMENT,
+  'fax': CALL_OUTCOMES.FAX_MODEM,
+  'ファックス': CALL_OUTCOMES.FAX_MODEM,
+  'sit': CALL_OUTCOMES.SPECIAL_INFORMATION_TONE,
+  '無音': CALL_OUTCOMES.SILENCE,
+  '不明': CALL_OUTCOMES.UNKNOWN
+};
+
+/**
+ * Evaluator
+ * Scores detection results against manual labels from reviewed CSV exports
+ */
+export class Evaluator {
+
+  /**
+   * Parses CSV content (UTF-8 BOM, quoted fields, escaped quotes, embedded newlines)
+   * @param {string} content - CSV file content
+   * @returns {Array<Object>} Rows keyed by header
+   */
+  static parseCsv(content) {
+    const text = content.replace(/^\uFEFF/, '');
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        record.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        record.push(field);
+        records.push(record);
+        record = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    
+    if (field || record.length) {
+      record.push(field);
+      records.push(record);
+    }
+    
+    const [headers = [], ...rows] = records.filter(r => r.some(value => value.trim()));
+    return rows.map(row => Object.fromEntries(headers.map((header, index) => [header.trim(), row[index] ?? ''])));
+  }
+
+  /**
+   * Maps a manual judgment to a call outcome
+   * @param {string} value - Value of the 手動判定 column
+   * @returns {string|null} Call outcome or null when unlabeled/unrecognized
+   */
+  static parseManualLabel(value) {
+    const label = (value || '').trim().normalize('NFKC').toLowerCase();
+    if (!label) return null;
+    
+    if (Object.values(CALL_OUTCOMES).includes(label)) {
+      return label;
+    }
+    return MANUAL_LABELS[label] || null;
+  }
+
+  /**
+   * Expands CSV paths and directories into a list of result CSV files
+   * @param {Array<string>} paths - CSV files or folders containing *-results.csv
+   * @returns {Promise<Array<string>>} CSV file paths
+   */
+  static async collectCsvFiles(paths) {
+    const files = [];
+    
+    for (const path of paths) {
+      const stats = await fs.stat(path).catch(() => null);
+      if (!stats) {
+        throw new Error(`Evaluation input not found: ${path}`);
+      }
+      
+      if (stats.isFile()) {
+        files.push(normalize(path));
+        continue;
+      }
+      
+      const entries = await fs.readdir(path, { withFileTypes: true });
+      for (const entry of entries) {
+        const entryPath = join(path, entry.name);
+        if (entry.isDirectory()) {
+          files.push(...await this.collectCsvFiles([entryPath]));
+        } else if (entry.name.endsWith('-results.csv')) {
+          files.push(entryPath);
+        }
+      }
+    }
+    
+    // The same file may be reached through overlapping inputs
+    return [...new Set(files)].sort();
+  }
+
+  /**
+   * Loads the most recent saved batch JSON next to a CSV export
+   * @param {string} csvPath - Path to the reviewed CSV
+   * @returns {Promise<Map>} Stored results keyed by baseId (empty when none saved)
+   */
+  static async loadStoredResults(csvPath) {
+    const folder = dirname(csvPath);
+    const folderName = basename(csvPath).replace(/-results\.csv$/, '');
+    const stored = new Map();
+    
+    const files = (await fs.readdir(folder).catch(() => []))
+      .filter(file => file.startsWith(`batch-results-${folderName}-`) && file.endsWith('.json'))
+      .sort();
+    
+    if (!files.length) {
+      return stored;
+    }
+    
+    // Timestamped names sort chronologically
+    const latest = join(folder, files[files.length - 1]);
+    const batchResult = JSON.parse(await fs.readFile(latest, 'utf8'));
+    
+    for (const result of batchResult.results || []) {
+      stored.set(String(result.baseId), result);
+    }
+    return stored;
+  }
+
+  /**
+   * Determines the predicted outcome and transcript of a reviewed row
+   * @param {Object} row - Parsed CSV row
+   * @param {Object|undefined} stored - Stored result for the same call
+   * @returns {Object|null} { predicted, transcript } or null for failed calls
+   */
+  static getPrediction(row, stored) {
+    if (stored) {
+      if (!stored.success) return null;
+      return {
+        predicted: stored.outcome
+          ? stored.outcome.label
+          : (stored.answeringMachine.detected ? CALL_OUTCOMES.ANSWERING_MACHINE : CALL_OUTCOMES.HUMAN),
+        transcript: stored.answeringMachine.transcript || ''
+      };
+    }
+    
+    if (row['成功'] && row['成功'] !== 'TRUE') return null;
+    
+    // Older exports only have the boolean column
+    let predicted = row['通話結果'] ||
+      (row['機械音声判定'] === 'TRUE' ? CALL_OUTCOMES.ANSWERING_MACHINE : CALL_OUTCOMES.HUMAN);
+    if (!Object.values(CALL_OUTCOMES).includes(predicted)) {
+      predicted = CALL_OUTCOMES.UNKNOWN;
+    }
+    return { predicted, transcript: row['テキスト'] || '' };
+  }
+
+  /**
+   * Computes precision, recall and F1 for one class
+   * @param {Array} samples - Scored samples ({ label, predicted })
+   * @param {string} outcome - Positive class
+   * @returns {Object} Binary metrics
+   */
+  static computeClassMetrics(samples, outcome) {
+    let truePositives = 0;
+    let falsePositives = 0;
+    let falseNegatives = 0;
+    
+    for (const { label, predicted } of samples) {
+      if (predicted === outcome && label === outcome) truePositives++;
+      else if (predicted === outcome) falsePositives++;
+      else if (label === outcome) falseNegatives++;
+    }
+    
+    const precision = truePositives + falsePositives > 0 ? truePositives / (truePositives + falsePositives) : 0;
+    const recall = truePositives + falseNegatives > 0 ? truePositives / (truePositives + falseNegatives) : 0;
+    const f1 = precision + recall > 0 ? 2 * precision * recall / (precision + recall) : 0;
+    
+    return {
+      truePositives,
+      falsePositives,
+      falseNegatives,
+      support: truePositives + falseNegatives,
+      precision,
+      recall,
+      f1
+    };
+  }
+
+  /**
+   * Evaluates reviewed CSV exports against their stored results
+   * @param {Array<string>} paths - CSV files or folders
+   * @returns {Promise<Object>} Evaluation report
+   */
+  static async evaluate(paths) {
+    const csvFiles = await this.collectCsvFiles(paths);
+    
+    if (csvFiles.length === 0) {
+      throw new Error(`No result CSV files found in ${paths.join(', ')}`);
+    }
+    
+    const samples = [];
+    let unlabeled = 0;
+    let skipped = 0;
+    
+    for (const csvPath of csvFiles) {
+      const rows = this.parseCsv(await fs.readFile(csvPath, 'utf8'));
+      const stored = await this.loadStoredResults(csvPath);
+      
+      for (const row of rows) {
+        const label = this.parseManualLabel(row['手動判定']);
+        if (!label) {
+          unlabeled++;
+          continue;
+        }
+        
+        const prediction = this.getPrediction(row, stored.get(row.id));
+        if (!prediction) {
+          skipped++;
+          continue;
+        }
+        
+        samples.push({ id: row.id, source: csvPath, label, ...prediction });
+      }
+    }
+    
+    const classes = Object.values(CALL_OUTCOMES)
+      .filter(outcome => samples.some(s => s.label === outcome || s.predicted === outcome));
+    
+    // confusionMatrix[label][predicted] = count
+    const confusionMatrix = Object.fromEntries(
+      classes.map(label => [label, Object.fromEntries(classes.map(predicted => [predicted, 0]))])
+    );
+    for (const { label, predicted } of samples) {
+      confusionMatrix[label][predicted]++;
+    }
+    
+    const perClass = Object.fromEntries(
+      classes.map(outcome => [outcome, this.computeClassMetrics(samples, outcome)])
+    );
+    
+    const machine = CALL_OUTCOMES.ANSWERING_MACHINE;
+    const correct = samples.filter(s => s.label === s.predicted).length;
+    
+    return {
+      files: csvFiles,
+      totalSamples: samples.length,
+      unlabeled,
+      skipped,
+      accuracy: samples.length > 0 ? correct / samples.length : 0,
+      classes,
+      confusionMatrix,
+      perClass,
+      answeringMachine: this.computeClassMetrics(samples, machine),
+      falsePositives: samples.filter(s => s.predicted === machine && s.label !== machine),
+      falseNegatives: samples.filter(s => s.label === machine && s.predicted !== machine)
+    };
+  }
+
+  /**
+   * Prints an evaluation report
+   * @param {Object} report - Result from evaluate
+   */
+  static printReport(report) {
+    const percent = value => `${(value * 100).toFixed(1)}%`;
+    
+    console.log('='.repeat(60));
+    console.log('EVALUATION REPORT');
+    console.log('='.repeat(60));
+    console.log(`Files: ${report.files.length}`);
+    report.files.forEach(file => console.log(`  • ${file}`));
+    console.log(`Labeled Calls: ${report.totalSamples}`);
+    console.log(`Unlabeled: ${report.unlabeled}`);
+    console.log(`Skipped (failed): ${report.skipped}`);
+    console.log(`Accuracy: ${percent(report.accuracy)}`);
+    console.log('');
+    
+    console.log('ANSWERING MACHINE DETECTION:');
+    console.log(`  Precision: ${percent(report.answeringMachine.precision)}`);
+    console.log(`  Recall: ${percent(report.answeringMachine.recall)}`);
+    console.log(`  F1: ${percent(report.answeringMachine.f1)}`);
+    console.log('');
+    
+    if (report.classes.length > 0) {
+      const width = Math.max(...report.classes.map((c, i) => `[${i}] ${c}`.length), 'label \\ predicted'.length);
+      console.log('CONFUSION MATRIX (rows: manual label, columns: predicted):');
+      console.log(`  ${'label \\ predicted'.padEnd(width)}  ${report.classes.map((c, i) => `[${i}]`.padStart(5)).join(' ')}`);
+      report.classes.forEach((label, i) => {
+        const counts = report.classes.map(predicted => String(report.confusionMatrix[label][predicted]).padStart(5));
+        console.log(`  ${`[${i}] ${label}`.padEnd(width)}  ${counts.join(' ')}`);
+      });
+      console.log('');
+      
+      console.log('PER-CLASS METRICS:');
+      for (const [outcome, metrics] of Object.entries(report.perClass)) {
+        console.log(`  ${outcome}: precision ${percent(metrics.precision)}, recall ${percent(metrics.recall)}, F1 ${percent(metrics.f1)} (support ${metrics.support})`);
+      }
+      console.log('');
+    }
+    
+    if (report.falsePositives.length > 0) {
+      console.log('FALSE POSITIVES (predicted answering machine):');
+      report.falsePositives.forEach(s => {
+        console.log(`  • ${s.id} [${s.label}]: "${s.transcript}"`);
+      });
+      console.log('');
+    }
+    
+    if (report.falseNegatives.length > 0) {
+      console.log('FALSE NEGATIVES (missed answering machine):');
+      report.falseNegatives.forEach(s => {
+        console.log(`  • ${s.id} [predicted ${s.predicted}]: "${s.transcript}"`);
+      });
+      console.log('');
+    }
+  }
+
+  /**
+   * Saves an evaluation report to JSON file
+   * @param {Object} report - Result from evaluate
+   * @returns {Promise<string>} Path to saved report
+   */
+  static async saveReport(report) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const outputPath = join(PATHS.OUTPUT_DIR, `evaluation-${timestamp}.json`);
+    
+    try {
+      await fs.mkdir(PATHS.OUTPUT_DIR, { recursive: true });
+      await fs.writeFile(outputPath, JSON.stringify(report, null, 2), 'utf8');
+      console.log(`Evaluation report saved to: ${outputPath}`);
+      return outputPath;
+    } catch (error) {
+      console.warn(`Failed to save evaluation report: ${error.message}`);
+      return null;
+    }
+  }
+} 
\ No newline at end of file
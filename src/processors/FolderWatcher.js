@@ -0,0 +1,244 @@
+import { promises as fs } from 'fs';
+import { join, basename } from 'path';
+import { BatchProcessor } from './BatchProcessor.js';
+import { BatchManifest } from './BatchManifest.js';
+import { Evaluator } from './Evaluator.js';
+import { PROCESSING, WATCH } from '../config/AudioConfig.js';
+
+/**
+ * Folder Watcher
+ * Processes recordings as they land in date folders, appending each result to that day's CSV
+ */
+export class FolderWatcher {
+
+  /**
+   * Lists the folders to scan: the date folders below the watched directory,
+   * or the directory itself when it holds recordings directly
+   * @param {string} rootDir - Watched directory
+   * @returns {Promise<Array<string>>} Folder paths in date order
+   */
+  static async listFolders(rootDir) {
+    const entries = await fs.readdir(rootDir, { withFileTypes: true });
+    
+    const dateFolders = entries
+      .filter(entry => entry.isDirectory() && WATCH.DATE_FOLDER_PATTERN.test(entry.name))
+      .map(entry => join(rootDir, entry.name))
+      .sort();
+    
+    if (dateFolders.length > 0 || !entries.some(entry => entry.name.endsWith('_data'))) {
+      return dateFolders;
+    }
+    return [rootDir];
+  }
+
+  /**
+   * Checks that a CSV has the columns this version writes
+   * @param {string} content - CSV content
+   * @returns {boolean} True when its header row matches BatchProcessor.getCsvHeaders
+   */
+  static hasCurrentHeader(content) {
+    const [header] = content.replace(/^\uFEFF/, '').split('\n');
+    return header.replace(/\r$/, '') === BatchProcessor.getCsvHeaders().join(',');
+  }
+
+  /**
+   * Reads a folder CSV, moving it aside when it was written with other columns
+   * @param {string} csvPath - Folder CSV path
+   * @returns {Promise<string|null>} CSV content, or null when there is no usable CSV
+   */
+  static async readCsv(csvPath) {
+    let content;
+    try {
+      content = await fs.readFile(csvPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    
+    // Rows appended under an older header would land in the wrong columns
+    if (!this.hasCurrentHeader(content)) {
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const retiredPath = csvPath.replace(/\.csv$/, `-${timestamp}.csv`);
+      await fs.rename(csvPath, retiredPath);
+      console.warn(`${csvPath} has different columns than this version writes: moved it to ${retiredPath} and starting a new CSV`);
+      return null;
+    }
+    
+    return content;
+  }
+
+  /**
+   * Opens the output state of a folder: its manifest and the ids already in its CSV
+   * @param {string} folderPath - Source folder
+   * @returns {Promise<Object>} { folderPath, folderName, outputDir, csvPath, manifest, csvIds, csvWrites }
+   */
+  static async openFolder(folderPath) {
+    const folderName = basename(folderPath);
+    const outputDir = await BatchProcessor.createOutputDirectory(folderName);
+    const csvPath = BatchProcessor.getCsvPath(outputDir, folderName);
+    
+    // The manifest of earlier runs says which calls are done
+    const manifest = await BatchManifest.load(BatchManifest.getManifestPath(outputDir, folderName), folderPath, true);
+    await BatchManifest.save(manifest);
+    
+    const content = await this.readCsv(csvPath);
+    const csvIds = new Set(content ? Evaluator.parseCsv(content).map(row => row.id) : []);
+    
+    const folder = { folderPath, folderName, outputDir, csvPath, manifest, csvIds, csvWrites: Promise.resolve() };
+    
+    // A restart between the manifest and CSV writes (or a CSV set aside above) leaves finished calls without a row
+    for (const baseId of Object.keys(manifest.calls)) {
+      if (csvIds.has(baseId)) continue;
+      const result = await BatchManifest.getReusableResult(manifest, baseId);
+      if (result) await this.appendToCsv(folder, result);
+    }
+    
+    return folder;
+  }
+
+  /**
+   * Appends a result to the folder CSV unless its row is already there
+   * @param {Object} folder - Folder state from openFolder
+   * @param {Object} result - Result from processCompleteWorkflow
+   * @returns {Promise<boolean>} True when a row was written
+   */
+  static appendToCsv(folder, result) {
+    // One append at a time, so concurrent calls cannot both write the header of a new file
+    const append = folder.csvWrites.then(async () => {
+      if (folder.csvIds.has(result.baseId)) return false;
+      
+      await BatchProcessor.appendResultToCSV(folder.csvPath, result);
+      folder.csvIds.add(result.baseId);
+      return true;
+    });
+    
+    // Keep the chain alive after a failed append; the caller still sees the error
+    folder.csvWrites = append.catch(() => {});
+    return append;
+  }
+
+  /**
+   * Finds pairs whose files have both stopped changing
+   * @param {Object} folder - Folder state from openFolder
+   * @param {Map} seen - File sizes from earlier scans, keyed by path
+   * @param {number} stableMs - Time without writes before a pair counts as complete
+   * @returns {Promise<Array<string>>} Base ids ready to process
+   */
+  static async findReadyCalls(folder, seen, stableMs = WATCH.STABLE_MS) {
+    const baseIds = await BatchProcessor.discoverAudioFiles(folder.folderPath);
+    const ready = [];
+    const now = Date.now();
+    
+    for (const baseId of baseIds) {
+      if (BatchManifest.isFinished(folder.manifest, baseId)) continue;
+      
+      const key = join(folder.folderPath, baseId);
+      let dataStat;
+      let timeSizeStat;
+      try {
+        dataStat = await fs.stat(`${key}_data`);
+        timeSizeStat = await fs.stat(`${key}_timeSize`);
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+      
+      // Stable: same sizes as the previous scan and no writes for stableMs
+      const sizes = `${dataStat.size}/${timeSizeStat.size}`;
+      const previous = seen.get(key);
+      seen.set(key, sizes);
+      
+      const lastWrite = Math.max(dataStat.mtimeMs, timeSizeStat.mtimeMs);
+      if (previous === sizes && dataStat.size > 0 && now - lastWrite >= stableMs) {
+        ready.push(baseId);
+      }
+    }
+    
+    return ready;
+  }
+
+  /**
+   * Runs one call through the pipeline and records it
+   * @param {Object} folder - Folder state from openFolder
+   * @param {string} baseId - Base identifier
+   * @param {Object} options - Workflow options
+   * @returns {Promise<Object>} Result from processCompleteWorkflow
+   */
+  static async processCall(folder, baseId, options) {
+    const { manifest } = folder;
+    
+    await BatchManifest.startCall(manifest, baseId);
+    const result = await BatchProcessor.processCompleteWorkflow(baseId, folder.folderPath, {
+      ...options,
+      outputDir: folder.outputDir,
+      onStage: stage => BatchManifest.completeStage(manifest, baseId, stage)
+    });
+    await BatchManifest.finishCall(manifest, baseId, result);
+    await this.appendToCsv(folder, result);
+    
+    return result;
+  }
+
+  /**
+   * Watches a directory until the signal is aborted
+   * @param {string} rootDir - Directory holding date folders (or recordings directly)
+   * @param {Object} options - Workflow options, plus { concurrency, stableMs, signal }
+   * @returns {Promise<Object>} Counts of processed calls ({ processed, successful, failed, byFolder })
+   */
+  static async watch(rootDir, options = {}) {
+    const concurrency = options.concurrency || PROCESSING.CONCURRENCY;
+    const stableMs = options.stableMs ?? WATCH.STABLE_MS;
+    const folders = new Map();
+    const seen = new Map();
+    const totals = { processed: 0, successful: 0, failed: 0, byFolder: {} };
+    
+    console.log(`Watching ${rootDir} (scan every ${WATCH.POLL_INTERVAL_MS / 1000}s, stable after ${stableMs / 1000}s)`);
+    console.log('');
+    
+    while (!options.signal?.aborted) {
+      for (const folderPath of await this.listFolders(rootDir)) {
+        if (options.signal?.aborted) break;
+        
+        // New date folders are picked up as they appear
+        if (!folders.has(folderPath)) {
+          const folder = await this.openFolder(folderPath);
+          folders.set(folderPath, folder);
+          console.log(`Watching folder ${folderPath} -> ${folder.csvPath}`);
+        }
+        const folder = folders.get(folderPath);
+        
+        const ready = await this.findReadyCalls(folder, seen, stableMs);
+        if (ready.length === 0) continue;
+        
+        console.log(`${folder.folderName}: ${ready.length} new recording(s): ${ready.join(', ')}`);
+        console.log('-'.repeat(50));
+        
+        const results = await BatchProcessor.mapWithConcurrency(ready, concurrency, baseId =>
+          this.processCall(folder, baseId, options), options.signal);
+        
+        for (const result of results.filter(Boolean)) {
+          totals.processed++;
+          totals[result.success ? 'successful' : 'failed']++;
+          totals.byFolder[folder.folderName] = (totals.byFolder[folder.folderName] || 0) + 1;
+          console.log(`${result.baseId}: ${result.success ? result.outcome.label : `failed (${result.error})`}`);
+        }
+        console.log('');
+      }
+      
+      // Sleep until the next scan, waking early on abort
+      await new Promise(resolve => {
+        const onAbort = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+        const timer = setTimeout(() => {
+          options.signal?.removeEventListener('abort', onAbort);
+          resolve();
+        }, WATCH.POLL_INTERVAL_MS);
+        options.signal?.addEventListener('abort', onAbort, { once: true });
+      });
+    }
+    
+    return totals;
+  }
+} 
\ No newline at end of file
@@ -0,0 +1,107 @@
+import { CALL_OUTCOMES, OUTCOME_SCORING } from '../config/AudioConfig.js';
+
+/**
+ * Outcome Classifier
+ * Combines transcript and signal evidence into a multi-class call outcome
+ */
+export class OutcomeClassifier {
+
+  /**
+   * Collects scored evidence for each outcome class
+   * @param {Object} evidence - { transcriptDetected, transcript, acoustic, useAcoustic, beep, callTones, carrierAnnouncement, wordTiming }
+   * @returns {Array} Reasons as {outcome, source, score}
+   */
+  static collectReasons(evidence) {
+    const { transcriptDetected, transcript, acoustic, useAcoustic, beep, callTones, carrierAnnouncement, wordTiming } = evidence;
+    const reasons = [];
+    
+    // An operator announcement explains the transcript, so its phrases
+    // ("おかけ直しください") must not count as voicemail evidence
+    if (carrierAnnouncement && carrierAnnouncement.matched) {
+      reasons.push({ outcome: CALL_OUTCOMES.CARRIER_ANNOUNCEMENT, source: 'carrier', score: OUTCOME_SCORING.CARRIER_ANNOUNCEMENT });
+    } else if (transcriptDetected === true) {
+      reasons.push({ outcome: CALL_OUTCOMES.ANSWERING_MACHINE, source: 'transcript', score: OUTCOME_SCORING.TRANSCRIPT_MATCH });
+    } else if (transcriptDetected === false && transcript) {
+      reasons.push({ outcome: CALL_OUTCOMES.HUMAN, source: 'transcript', score: OUTCOME_SCORING.TRANSCRIPT_NO_MATCH });
+    }
+    
+    // Tones explained by a SIT segment or ringback burst were taken out by CallToneClassifier.resolveBeep
+    if (beep && beep.detected) {
+      reasons.push({ outcome: CALL_OUTCOMES.ANSWERING_MACHINE, source: 'beep', score: OUTCOME_SCORING.BEEP });
+    }
+    
+    if (callTones && callTones.outcome === CALL_OUTCOMES.FAX_MODEM) {
+      reasons.push({ outcome: CALL_OUTCOMES.FAX_MODEM, source: 'tone', score: OUTCOME_SCORING.FAX_TONE });
+    } else if (callTones && callTones.outcome === CALL_OUTCOMES.SPECIAL_INFORMATION_TONE) {
+      reasons.push({ outcome: CALL_OUTCOMES.SPECIAL_INFORMATION_TONE, source: 'tone', score: OUTCOME_SCORING.SIT });
+    }
+    
+    // Operator announcements are long fluent recordings as well
+    if (wordTiming && !(carrierAnnouncement && carrierAnnouncement.matched)) {
+      const { label, confidence } = wordTiming.verdict;
+      
+      if (label === 'machine') {
+        reasons.push({ outcome: CALL_OUTCOMES.ANSWERING_MACHINE, source: 'timing', score: confidence * OUTCOME_SCORING.WORD_TIMING_WEIGHT });
+      } else if (label === 'human') {
+        reasons.push({ outcome: CALL_OUTCOMES.HUMAN, source: 'timing', score: confidence * OUTCOME_SCORING.WORD_TIMING_WEIGHT });
+      }
+    }
+    
+    if (acoustic) {
+      const { label, confidence } = acoustic.verdict;
+      
+      // Greeting measurements are meaningless when the "voice" is a tone
+      const toneOnly = Boolean(callTones && callTones.detected);
+      
+      // No signal at all is reported regardless of whether acoustic verdicts are enabled
+      if (label === 'silence' && !transcript) {
+        reasons.push({ outcome: CALL_OUTCOMES.SILENCE, source: 'acoustic', score: confidence });
+      } else if (useAcoustic && !toneOnly && label === 'machine') {
+        reasons.push({ outcome: CALL_OUTCOMES.ANSWERING_MACHINE, source: 'acoustic', score: confidence * OUTCOME_SCORING.ACOUSTIC_WEIGHT });
+      } else if (useAcoustic && !toneOnly && label === 'human') {
+        reasons.push({ outcome: CALL_OUTCOMES.HUMAN, source: 'acoustic', score: confidence * OUTCOME_SCORING.ACOUSTIC_WEIGHT });
+      }
+    }
+    
+    return reasons;
+  }
+
+  /**
+   * Classifies a call into one of CALL_OUTCOMES
+   * @param {Object} evidence - { transcriptDetected, transcript, acoustic, useAcoustic, beep, callTones, carrierAnnouncement, wordTiming }
+   * @returns {Object} { label, score, scores, reasons }
+   */
+  static classify(evidence) {
+    const reasons = this.collectReasons(evidence);
+    
+    const scores = {};
+    for (const outcome of Object.values(CALL_OUTCOMES)) {
+      // Independent evidence for the same class combines as a noisy-OR
+      const misses = reasons
+        .filter(reason => reason.outcome === outcome)
+        .reduce((product, reason) => product * (1 - reason.score), 1);
+      scores[outcome] = Number((1 - misses).toFixed(3));
+    }
+    
+    let label = CALL_OUTCOMES.UNKNOWN;
+    let best = 0;
+    for (const [outcome, score] of Object.entries(scores)) {
+      if (score > best) {
+        best = score;
+        label = outcome;
+      }
+    }
+    
+    if (best < OUTCOME_SCORING.MIN_SCORE) {
+      label = CALL_OUTCOMES.UNKNOWN;
+    }
+    scores[CALL_OUTCOMES.UNKNOWN] = Number((1 - best).toFixed(3));
+    
+    return {
+      label,
+      score: scores[label],
+      scores,
+      reasons
+    };
+  }
+} 
\ No newline at end of file
@@ -0,0 +1,32 @@
+import { RATE_LIMIT } from '../config/AudioConfig.js';
+
+/**
+ * Rate Limiter
+ * Spaces speech requests evenly across the whole process (shared by all calls of a batch)
+ */
+export class RateLimiter {
+
+  static #nextSlot = 0;
+
+  /**
+   * Waits until the next request slot is free
+   * @param {number} requestsPerSecond - Allowed request rate (0 disables the limit)
+   * @returns {Promise<number>} Milliseconds waited
+   */
+  static async acquire(requestsPerSecond = RATE_LIMIT.REQUESTS_PER_SECOND) {
+    if (!requestsPerSecond) {
+      return 0;
+    }
+    
+    // Reserve the slot synchronously so concurrent callers queue behind each other
+    const now = Date.now();
+    const slot = Math.max(now, this.#nextSlot);
+    this.#nextSlot = slot + 1000 / requestsPerSecond;
+    
+    const wait = slot - now;
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+    return wait;
+  }
+} 
\ No newline at end of file
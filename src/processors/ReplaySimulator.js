@@ -0,0 +1,262 @@
+import { promises as fs } from 'fs';
+import { join, basename } from 'path';
+import { AudioProcessor } from './AudioProcessor.js';
+import { BatchProcessor } from './BatchProcessor.js';
+import { RuleEngine } from './RuleEngine.js';
+import { StreamingDetector } from './StreamingDetector.js';
+import { AudioDecoder } from './AudioDecoder.js';
+import { PATHS, AUDIO_CONFIG, STREAMING } from '../config/AudioConfig.js';
+
+/**
+ * Replay Simulator
+ * Replays recorded calls frame by frame at their _timeSize pace to benchmark streaming decisions
+ */
+export class ReplaySimulator {
+
+  /**
+   * Replays one call through the streaming detector
+   * @param {string} folderPath - Folder containing the _data/_timeSize pair
+   * @param {string} baseId - Base identifier
+   * @param {Object} ruleSet - Compiled rule set
+   * @param {Object} options - { speed, decisionThreshold, codec, recognition, speechProvider, fixturesDir, signal }
+   * @returns {Promise<Object>} { baseId, codec, audioMs, callTimeMs, decision, final, agrees }
+   */
+  static async replayCall(folderPath, baseId, ruleSet, options = {}) {
+    const data = await AudioProcessor.readAudioData(join(folderPath, `${baseId}_data`));
+    const timeSizeContent = await fs.readFile(join(folderPath, `${baseId}_timeSize`), 'utf8');
+    const timingEntries = AudioProcessor.parseTimingData(timeSizeContent);
+    
+    // Decoded once up front; frames are released by their payload byte offsets
+    const codec = AudioDecoder.resolveCodec(data, options.codec);
+    const bytesPerSample = AudioDecoder.getBytesPerSample(codec.codec);
+    const pcm = AudioDecoder.decode(data, codec.codec);
+    const toPcmBytes = bytes => bytes / bytesPerSample * 2;
+    
+    const speed = options.speed ?? STREAMING.REPLAY_SPEED;
+    const threshold = options.decisionThreshold ?? STREAMING.DECISION_THRESHOLD;
+    const bytesPerMs = AUDIO_CONFIG.BYTE_RATE / 1000;
+    const firstTimestamp = timingEntries.length ? timingEntries[0].timestamp : 0;
+    const startTime = Date.now();
+    
+    const finals = [];
+    const recognition = options.recognition ? StreamingDetector.openRecognition(baseId, options, result => {
+      if (result.isFinal) finals.push(result.transcript.trim());
+    }) : null;
+    
+    let received = 0;
+    let evaluatedMs = -Infinity;
+    let decision = null;
+    const analysis = StreamingDetector.createAnalysis();
+    
+    for (const entry of timingEntries) {
+      if (options.signal?.aborted) break;
+      
+      const callTimeMs = entry.timestamp - firstTimestamp;
+      
+      // Hold each frame back until its recorded arrival time (scaled by speed)
+      if (speed > 0) {
+        const wait = startTime + callTimeMs / speed - Date.now();
+        if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+      }
+      
+      const end = Math.min(received + entry.size, data.length);
+      const sampleEnd = end - end % bytesPerSample;
+      if (sampleEnd <= received) continue;
+      
+      if (recognition) await recognition.write(pcm.subarray(toPcmBytes(received), toPcmBytes(sampleEnd)));
+      received = sampleEnd;
+      
+      const audioMs = toPcmBytes(received) / bytesPerMs;
+      if (decision || audioMs > STREAMING.MAX_ANALYSIS_MS || audioMs - evaluatedMs < STREAMING.EVALUATION_INTERVAL_MS) {
+        continue;
+      }
+      
+      evaluatedMs = audioMs;
+      const evaluation = StreamingDetector.evaluate(pcm.subarray(0, toPcmBytes(received)), finals.join(''), ruleSet, analysis);
+      if (StreamingDetector.isDecisive(evaluation, threshold)) {
+        decision = {
+          latencyMs: Math.round(audioMs),
+          callTimeMs,
+          ...StreamingDetector.describe(evaluation, finals.join(''))
+        };
+      }
+    }
+    
+    // Full-call verdict over everything received, including late recognition results
+    if (recognition) await recognition.end();
+    const heard = pcm.subarray(0, toPcmBytes(received));
+    const final = StreamingDetector.describe(StreamingDetector.evaluate(heard, finals.join(''), ruleSet, analysis), finals.join(''));
+    
+    return {
+      baseId,
+      codec: codec.codec,
+      audioMs: Math.round(heard.length / bytesPerMs),
+      callTimeMs: StreamingDetector.getCallTimeMs(timingEntries, received),
+      decision,
+      final,
+      agrees: decision ? decision.outcome.label === final.outcome.label : null
+    };
+  }
+
+  /**
+   * Calculates a percentile of sorted values
+   * @param {Array<number>} sorted - Values in ascending order
+   * @param {number} percentile - Percentile (0-100)
+   * @returns {number|null} Value at the percentile, or null for no values
+   */
+  static getPercentile(sorted, percentile) {
+    if (sorted.length === 0) return null;
+    
+    const index = Math.ceil(percentile / 100 * sorted.length) - 1;
+    return sorted[Math.min(Math.max(index, 0), sorted.length - 1)];
+  }
+
+  /**
+   * Aggregates per-call replay results
+   * @param {Array} calls - Results from replayCall
+   * @returns {Object} Time-to-decision statistics and disagreement counts
+   */
+  static summarize(calls) {
+    const decided = calls.filter(call => call.decision);
+    const latencies = decided.map(call => call.decision.latencyMs).sort((a, b) => a - b);
+    const disagreements = decided.filter(call => !call.agrees);
+    
+    const byOutcome = {};
+    for (const call of decided) {
+      const label = call.decision.outcome.label;
+      byOutcome[label] = byOutcome[label] || { decided: 0, disagreements: 0 };
+      byOutcome[label].decided++;
+      if (!call.agrees) byOutcome[label].disagreements++;
+    }
+    
+    return {
+      totalCalls: calls.length,
+      decided: decided.length,
+      undecided: calls.length - decided.length,
+      latencyMs: {
+        mean: latencies.length ? Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length) : null,
+        median: this.getPercentile(latencies, 50),
+        p90: this.getPercentile(latencies, 90),
+        max: latencies.length ? latencies[latencies.length - 1] : null
+      },
+      disagreements: disagreements.length,
+      disagreementRate: decided.length > 0 ? disagreements.length / decided.length : 0,
+      byOutcome
+    };
+  }
+
+  /**
+   * Replays every call of a folder, one after another so pacing is not distorted
+   * @param {string} folderPath - Folder containing _data/_timeSize pairs
+   * @param {Object} options - { speed, decisionThreshold, recognition, rulesPath, signal, ... }
+   * @returns {Promise<Object>} Report ({ folderPath, speed, threshold, calls, summary, interrupted })
+   */
+  static async simulateFolder(folderPath, options = {}) {
+    const baseIds = await BatchProcessor.discoverAudioFiles(folderPath);
+    if (baseIds.length === 0) {
+      throw new Error(`No audio files found in ${folderPath}`);
+    }
+    
+    const ruleSet = await RuleEngine.loadRules(options.rulesPath);
+    const speed = options.speed ?? STREAMING.REPLAY_SPEED;
+    const calls = [];
+    
+    for (const [index, baseId] of baseIds.entries()) {
+      if (options.signal?.aborted) break;
+      
+      console.log(`Replaying ${index + 1}/${baseIds.length}: ${baseId}`);
+      try {
+        const call = await this.replayCall(folderPath, baseId, ruleSet, options);
+        
+        // A call cut short by Ctrl+C would skew the statistics
+        if (options.signal?.aborted) break;
+        calls.push(call);
+        
+        const early = call.decision
+          ? `${call.decision.outcome.label} at ${(call.decision.latencyMs / 1000).toFixed(2)}s`
+          : 'no early decision';
+        const mark = call.agrees === false ? ' [DISAGREES]' : '';
+        console.log(`  ${early}, full call: ${call.final.outcome.label}${mark}`);
+      } catch (error) {
+        console.error(`  Replay failed: ${error.message}`);
+        calls.push({ baseId, error: error.message, decision: null, final: null, agrees: null });
+      }
+    }
+    
+    const replayed = calls.filter(call => !call.error);
+    
+    return {
+      folderPath,
+      folderName: basename(folderPath),
+      speed,
+      threshold: options.decisionThreshold ?? STREAMING.DECISION_THRESHOLD,
+      recognition: Boolean(options.recognition),
+      calls,
+      failed: calls.length - replayed.length,
+      interrupted: Boolean(options.signal?.aborted),
+      summary: this.summarize(replayed)
+    };
+  }
+
+  /**
+   * Prints a simulation report
+   * @param {Object} report - Result from simulateFolder
+   */
+  static printReport(report) {
+    const seconds = ms => ms === null ? '-' : `${(ms / 1000).toFixed(2)}s`;
+    const { summary } = report;
+    
+    console.log('');
+    console.log('='.repeat(60));
+    console.log(`SIMULATION REPORT: ${report.folderName}${report.interrupted ? ' (INTERRUPTED)' : ''}`);
+    console.log('='.repeat(60));
+    console.log(`Replay Speed: ${report.speed > 0 ? `${report.speed}x` : 'as fast as possible'}`);
+    console.log(`Decision Threshold: ${report.threshold}`);
+    console.log(`Streaming Recognition: ${report.recognition ? 'on' : 'off (acoustic only)'}`);
+    console.log(`Calls Replayed: ${summary.totalCalls}${report.failed ? ` (${report.failed} failed)` : ''}`);
+    console.log(`Early Decisions: ${summary.decided} (${summary.undecided} undecided)`);
+    console.log('');
+    
+    console.log('TIME TO DECISION (call audio):');
+    console.log(`  Mean: ${seconds(summary.latencyMs.mean)}`);
+    console.log(`  Median: ${seconds(summary.latencyMs.median)}`);
+    console.log(`  P90: ${seconds(summary.latencyMs.p90)}`);
+    console.log(`  Max: ${seconds(summary.latencyMs.max)}`);
+    console.log('');
+    
+    console.log(`DISAGREEMENT WITH FULL-CALL VERDICT: ${summary.disagreements}/${summary.decided} (${(summary.disagreementRate * 100).toFixed(1)}%)`);
+    for (const [label, counts] of Object.entries(summary.byOutcome)) {
+      console.log(`  ${label}: ${counts.disagreements}/${counts.decided}`);
+    }
+    console.log('');
+    
+    const disagreeing = report.calls.filter(call => call.agrees === false);
+    if (disagreeing.length > 0) {
+      console.log('DISAGREEING CALLS:');
+      disagreeing.forEach(call => {
+        console.log(`  • ${call.baseId}: early ${call.decision.outcome.label} at ${seconds(call.decision.latencyMs)}, full call ${call.final.outcome.label}`);
+      });
+      console.log('');
+    }
+  }
+
+  /**
+   * Saves a simulation report to JSON file
+   * @param {Object} report - Result from simulateFolder
+   * @returns {Promise<string|null>} Path to saved report, or null on failure
+   */
+  static async saveReport(report) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const outputPath = join(PATHS.OUTPUT_DIR, `simulation-${report.folderName}-${timestamp}.json`);
+    
+    try {
+      await fs.mkdir(PATHS.OUTPUT_DIR, { recursive: true });
+      await fs.writeFile(outputPath, JSON.stringify(report, null, 2), 'utf8');
+      console.log(`Simulation report saved to: ${outputPath}`);
+      return outputPath;
+    } catch (error) {
+      console.warn(`Failed to save simulation report: ${error.message}`);
+      return null;
+    }
+  }
+} 
\ No newline at end of file
@@ -0,0 +1,149 @@
+import { SPEECH_ERRORS, RETRY } from '../config/AudioConfig.js';
+
+// gRPC status codes returned by the Google client
+const GRPC_ERRORS = {
+  3: SPEECH_ERRORS.INVALID_ARGUMENT,
+  4: SPEECH_ERRORS.DEADLINE_EXCEEDED,
+  7: SPEECH_ERRORS.AUTHENTICATION, // PERMISSION_DENIED
+  8: SPEECH_ERRORS.QUOTA_EXCEEDED, // RESOURCE_EXHAUSTED
+  11: SPEECH_ERRORS.INVALID_ARGUMENT, // OUT_OF_RANGE (audio too long)
+  14: SPEECH_ERRORS.UNAVAILABLE,
+  16: SPEECH_ERRORS.AUTHENTICATION // UNAUTHENTICATED
+};
+
+// HTTP status codes returned by HTTP endpoints
+const HTTP_ERRORS = {
+  400: SPEECH_ERRORS.INVALID_ARGUMENT,
+  401: SPEECH_ERRORS.AUTHENTICATION,
+  403: SPEECH_ERRORS.AUTHENTICATION,
+  408: SPEECH_ERRORS.DEADLINE_EXCEEDED,
+  413: SPEECH_ERRORS.INVALID_ARGUMENT,
+  415: SPEECH_ERRORS.INVALID_ARGUMENT,
+  422: SPEECH_ERRORS.INVALID_ARGUMENT,
+  429: SPEECH_ERRORS.QUOTA_EXCEEDED,
+  500: SPEECH_ERRORS.UNAVAILABLE,
+  502: SPEECH_ERRORS.UNAVAILABLE,
+  503: SPEECH_ERRORS.UNAVAILABLE,
+  504: SPEECH_ERRORS.DEADLINE_EXCEEDED
+};
+
+// Node.js network error codes
+const NETWORK_ERRORS = {
+  ETIMEDOUT: SPEECH_ERRORS.DEADLINE_EXCEEDED,
+  ECONNREFUSED: SPEECH_ERRORS.UNAVAILABLE,
+  ECONNRESET: SPEECH_ERRORS.UNAVAILABLE,
+  ENOTFOUND: SPEECH_ERRORS.UNAVAILABLE,
+  EAI_AGAIN: SPEECH_ERRORS.UNAVAILABLE,
+  UND_ERR_SOCKET: SPEECH_ERRORS.UNAVAILABLE
+};
+
+/**
+ * Retry Policy
+ * Classifies speech request failures and retries transient ones with exponential backoff
+ */
+export class RetryPolicy {
+
+  /**
+   * Classifies a speech request error
+   * @param {Error} error - Error thrown by a provider (causes are inspected too)
+   * @returns {string} Error class from SPEECH_ERRORS
+   */
+  static classify(error) {
+    for (let current = error; current; current = current.cause) {
+      if (typeof current.code === 'number' && GRPC_ERRORS[current.code]) {
+        return GRPC_ERRORS[current.code];
+      }
+      if (HTTP_ERRORS[current.status]) {
+        return HTTP_ERRORS[current.status];
+      }
+      if (current.status >= 500) {
+        return SPEECH_ERRORS.UNAVAILABLE;
+      }
+      if (current.name === 'TimeoutError') {
+        return SPEECH_ERRORS.DEADLINE_EXCEEDED;
+      }
+      if (NETWORK_ERRORS[current.code]) {
+        return NETWORK_ERRORS[current.code];
+      }
+    }
+    
+    const message = error?.message || '';
+    if (/credential|unauthenticated|permission denied/i.test(message)) {
+      return SPEECH_ERRORS.AUTHENTICATION;
+    }
+    if (/quota|rate limit/i.test(message)) {
+      return SPEECH_ERRORS.QUOTA_EXCEEDED;
+    }
+    
+    return SPEECH_ERRORS.UNKNOWN;
+  }
+
+  /**
+   * Checks whether an error class is worth retrying
+   * @param {string} errorClass - Error class from SPEECH_ERRORS
+   * @returns {boolean} True for transient failures
+   */
+  static isRetryable(errorClass) {
+    return RETRY.RETRYABLE.includes(errorClass);
+  }
+
+  /**
+   * Calculates the delay before the next attempt
+   * @param {number} attempt - Number of the attempt that just failed (1-based)
+   * @returns {number} Delay in milliseconds
+   */
+  static getDelayMs(attempt) {
+    const delay = Math.min(RETRY.BASE_DELAY_MS * 2 ** (attempt - 1), RETRY.MAX_DELAY_MS);
+    
+    // Randomize part of the delay so parallel calls do not retry in lockstep
+    return Math.round(delay * (1 - RETRY.JITTER) + Math.random() * delay * RETRY.JITTER);
+  }
+
+  /**
+   * Runs a request, retrying retryable failures
+   * @param {Function} request - async (attempt) => result
+   * @param {Object} options - { maxAttempts }
+   * @returns {Promise<Object>} { result, attempts }
+   * @throws {Error} Last error, with attempts and errorClass properties
+   */
+  static async execute(request, options = {}) {
+    const maxAttempts = options.maxAttempts || RETRY.MAX_ATTEMPTS;
+    
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await request(attempt);
+        return { result, attempts: attempt };
+      } catch (error) {
+        const errorClass = this.classify(error);
+        
+        if (!this.isRetryable(errorClass) || attempt >= maxAttempts) {
+          error.attempts = attempt;
+          error.errorClass = errorClass;
+          throw error;
+        }
+        
+        const delay = this.getDelayMs(attempt);
+        console.warn(`Attempt ${attempt}/${maxAttempts} failed (${errorClass}): ${error.message} - retrying in ${(delay / 1000).toFixed(1)}s`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Finds the retry details attached to an error or one of its causes
+   * @param {Error} error - Error from the processing pipeline
+   * @returns {Object} { attempts, errorClass } (attempts is null when no request was made)
+   */
+  static getFailureDetails(error) {
+    for (let current = error; current; current = current.cause) {
+      if (current.attempts !== undefined) {
+        return { attempts: current.attempts, errorClass: current.errorClass };
+      }
+      // Classified before any request was made (e.g. failed audio validation)
+      if (current.errorClass) {
+        return { attempts: null, errorClass: current.errorClass };
+      }
+    }
+    return { attempts: null, errorClass: this.classify(error) };
+  }
+} 
\ No newline at end of file
@@ -0,0 +1,189 @@
+import { promises as fs } from 'fs';
+import { TextNormalizer } from './TextNormalizer.js';
+import { PATHS } from '../config/AudioConfig.js';
+import { NORMALIZATION_DEFAULTS, FUZZY_DEFAULTS } from '../config/TextNormalization.js';
+
+/**
+ * Rule Engine
+ * Weighted answering machine detection rules loaded from a JSON file
+ */
+export class RuleEngine {
+
+  static #cache = new Map();
+
+  /**
+   * Loads and compiles a rules file (cached per path)
+   * @param {string} rulesPath - Path to JSON rules file
+   * @returns {Promise<Object>} Compiled rule set
+   */
+  static async loadRules(rulesPath = PATHS.RULES) {
+    if (!this.#cache.has(rulesPath)) {
+      let content;
+      try {
+        content = await fs.readFile(rulesPath, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw new Error(`Rules file not found: ${rulesPath}`);
+        }
+        throw error;
+      }
+      
+      let definition;
+      try {
+        definition = JSON.parse(content);
+      } catch (error) {
+        throw new Error(`Invalid JSON in rules file ${rulesPath}: ${error.message}`);
+      }
+      
+      this.#cache.set(rulesPath, this.compile(definition, rulesPath));
+    }
+    return this.#cache.get(rulesPath);
+  }
+
+  /**
+   * Validates a rules definition and compiles its patterns
+   * @param {Object} definition - Parsed rules file content
+   * @param {string} source - Origin of the definition (for error messages)
+   * @returns {Object} Compiled rule set
+   */
+  static compile(definition, source = 'rules') {
+    if (!definition || !Array.isArray(definition.rules)) {
+      throw new Error(`Invalid rules in ${source}: "rules" must be an array`);
+    }
+    
+    const threshold = definition.threshold ?? 1.0;
+    if (typeof threshold !== 'number') {
+      throw new Error(`Invalid rules in ${source}: "threshold" must be a number`);
+    }
+    
+    const normalization = { ...NORMALIZATION_DEFAULTS, ...definition.normalization };
+    const fuzzy = { ...FUZZY_DEFAULTS, ...definition.fuzzy };
+    
+    if (typeof fuzzy.tolerance !== 'number' || fuzzy.tolerance < 0 || fuzzy.tolerance >= 1) {
+      throw new Error(`Invalid rules in ${source}: "fuzzy.tolerance" must be a number between 0 and 1`);
+    }
+    
+    const ids = new Set();
+    const rules = definition.rules.map((rule, index) => {
+      const id = rule.id || `rule-${index}`;
+      
+      if (ids.has(id)) {
+        throw new Error(`Invalid rule "${id}" in ${source}: duplicate id`);
+      }
+      ids.add(id);
+      
+      if (typeof rule.pattern !== 'string' || !rule.pattern) {
+        throw new Error(`Invalid rule "${id}" in ${source}: "pattern" must be a non-empty string`);
+      }
+      
+      const type = rule.type || 'literal';
+      if (type !== 'literal' && type !== 'regex') {
+        throw new Error(`Invalid rule "${id}" in ${source}: unknown type "${type}"`);
+      }
+      
+      const weight = rule.weight ?? 1.0;
+      if (typeof weight !== 'number' || weight < 0) {
+        throw new Error(`Invalid rule "${id}" in ${source}: "weight" must be a non-negative number`);
+      }
+      
+      let regex = null;
+      if (type === 'regex') {
+        try {
+          regex = new RegExp(rule.pattern, rule.flags ?? 'i');
+        } catch (error) {
+          throw new Error(`Invalid rule "${id}" in ${source}: ${error.message}`);
+        }
+      }
+      
+      // Per-rule override: false disables fuzzy matching, a number sets the tolerance
+      let tolerance = fuzzy.tolerance;
+      if (rule.fuzzy === false) {
+        tolerance = 0;
+      } else if (typeof rule.fuzzy === 'number') {
+        tolerance = rule.fuzzy;
+      }
+      
+      return {
+        id,
+        type,
+        pattern: rule.pattern,
+        normalizedPattern: type === 'literal' ? TextNormalizer.normalize(rule.pattern, normalization) : null,
+        regex,
+        fuzzy: { tolerance, minLength: fuzzy.minLength },
+        weight,
+        negative: Boolean(rule.negative),
+        language: rule.language || null
+      };
+    });
+    
+    return {
+      source,
+      threshold,
+      languages: definition.languages || null,
+      normalization,
+      rules
+    };
+  }
+
+  /**
+   * Finds the text a rule matches in a transcript
+   * @param {Object} rule - Compiled rule
+   * @param {Object} text - { original, normalized } transcript forms
+   * @returns {Object|null} { match, distance } or null
+   */
+  static matchRule(rule, text) {
+    // Regexes are written against readable text, so they only get width folding
+    if (rule.regex) {
+      const match = text.original.normalize('NFKC').match(rule.regex);
+      return match ? { match: match[0], distance: 0 } : null;
+    }
+    
+    return TextNormalizer.findMatch(text.normalized, rule.normalizedPattern, rule.fuzzy);
+  }
+
+  /**
+   * Evaluates a transcript against a rule set
+   * @param {string} transcript - Transcript text
+   * @param {Object} ruleSet - Compiled rule set from loadRules or compile
+   * @returns {Object} { detected, score, threshold, firedRules }
+   */
+  static evaluate(transcript, ruleSet) {
+    const firedRules = [];
+    let score = 0;
+    
+    if (transcript && typeof transcript === 'string') {
+      const text = {
+        original: transcript.trim(),
+        normalized: TextNormalizer.normalize(transcript, ruleSet.normalization)
+      };
+      
+      for (const rule of ruleSet.rules) {
+        if (ruleSet.languages && rule.language && !ruleSet.languages.includes(rule.language)) {
+          continue;
+        }
+        
+        const result = this.matchRule(rule, text);
+        if (result === null) continue;
+        
+        score += rule.negative ? -rule.weight : rule.weight;
+        firedRules.push({
+          id: rule.id,
+          weight: rule.weight,
+          negative: rule.negative,
+          language: rule.language,
+          match: result.match,
+          distance: result.distance
+        });
+      }
+    }
+    
+    score = Number(score.toFixed(3));
+    
+    return {
+      detected: score >= ruleSet.threshold,
+      score,
+      threshold: ruleSet.threshold,
+      firedRules
+    };
+  }
+} 
\ No newline at end of file
@@ -1,41 +1,50 @@
-import { SpeechClient } from '@google-cloud/speech';
 import { promises as fs } from 'fs';
-import { PATHS, AUDIO_CONFIG } from '../config/AudioConfig.js';
+import { GoogleSpeechProvider } from '../providers/GoogleSpeechProvider.js';
+import { FixtureSpeechProvider } from '../providers/FixtureSpeechProvider.js';
+import { HttpSpeechProvider } from '../providers/HttpSpeechProvider.js';
+import { TranscriptionCache } from './TranscriptionCache.js';
+import { RetryPolicy } from './RetryPolicy.js';
+import { RateLimiter } from './RateLimiter.js';
+import { AudioSegmenter } from './AudioSegmenter.js';
+import { WavHeaderGenerator } from './WavHeaderGenerator.js';
+import { AudioDecoder } from './AudioDecoder.js';
+import { PATHS, SPEECH, WAV_HEADER } from '../config/AudioConfig.js';
 
 /**
  * Speech Processor
- * Handles speech-to-text conversion using Google Cloud Speech API
+ * Handles speech-to-text conversion through pluggable recognition providers
  */
 export class SpeechProcessor {
   
-  static #client = null;
+  static PROVIDERS = {
+    [GoogleSpeechProvider.providerName]: GoogleSpeechProvider,
+    [FixtureSpeechProvider.providerName]: FixtureSpeechProvider,
+    [HttpSpeechProvider.providerName]: HttpSpeechProvider
+  };
   
   /**
-   * Gets or creates the Google Speech client
-   * @returns {SpeechClient} Configured speech client
+   * Gets a speech recognition provider by name
+   * @param {string} name - Provider name (google, fixture, http)
+   * @returns {Object} Provider with a transcribe(audioBytes, context) method
    */
-  static getClient() {
-    if (!this.#client) {
-      try {
-        this.#client = new SpeechClient({
-          keyFilename: PATHS.CREDENTIALS
-        });
-      } catch (error) {
-        throw new Error(`Failed to initialize Google Speech client: ${error.message}`);
-      }
+  static getProvider(name = SPEECH.PROVIDER) {
+    const provider = this.PROVIDERS[name];
+    if (!provider) {
+      throw new Error(`Unknown speech provider "${name}" (available: ${Object.keys(this.PROVIDERS).join(', ')})`);
     }
-    return this.#client;
+    return provider;
   }
 
   /**
    * Creates speech recognition config for telephony audio
+   * @param {Object} format - Format of the audio sent ({ sampleRate, channels }), defaults to decoded PCM
    * @returns {Object} Speech recognition configuration
    */
-  static createRecognitionConfig() {
+  static createRecognitionConfig(format = AudioDecoder.getOutputFormat()) {
     return {
       encoding: 'LINEAR16',
-      sampleRateHertz: AUDIO_CONFIG.SAMPLE_RATE,
-      audioChannelCount: AUDIO_CONFIG.CHANNELS,
+      sampleRateHertz: format.sampleRate,
+      audioChannelCount: format.channels,
       languageCode: 'ja-JP', // Japanese for answering machine detection
       alternativeLanguageCodes: ['en-US'], // Fallback to English
       enableAutomaticPunctuation: true,
@@ -57,11 +66,95 @@ export class SpeechProcessor {
   }
 
   /**
-   * Transcribes audio from WAV file
+   * Recognizes one WAV buffer, reusing the cached response when available
+   * @param {Buffer} audioBytes - WAV content
+   * @param {Object} provider - Speech provider
+   * @param {Object} config - Recognition config
+   * @param {Object} options - transcribeAudio options
+   * @returns {Promise<Object>} { response, cache, attempts }
+   */
+  static async recognize(audioBytes, provider, config, options = {}) {
+    // Reuse the stored response when this audio was already recognized with the same config
+    let cacheKey = null;
+    if (!options.noCache) {
+      cacheKey = TranscriptionCache.computeKey(audioBytes, config, provider.providerName);
+      const cached = await TranscriptionCache.get(cacheKey);
+      if (cached) {
+        console.log(`Using cached response ${cacheKey.slice(0, 12)}`);
+        return { response: cached, cache: 'hit', attempts: 0 };
+      }
+    }
+    
+    // Send to the selected recognition provider, retrying transient failures
+    const { result: response, attempts } = await RetryPolicy.execute(async () => {
+      await RateLimiter.acquire(options.rateLimit);
+      return provider.transcribe(audioBytes, { ...options, config });
+    }, { maxAttempts: options.maxAttempts });
+    
+    // The call is already recognized, so a failed cache write only costs a later re-recognition
+    if (cacheKey) {
+      try {
+        await TranscriptionCache.set(cacheKey, response, {
+          provider: provider.providerName,
+          callId: options.callId
+        });
+      } catch (error) {
+        console.warn(`Failed to cache response ${cacheKey.slice(0, 12)}: ${error.message}`);
+      }
+    }
+    
+    return { response, cache: cacheKey ? 'miss' : 'bypass', attempts };
+  }
+
+  /**
+   * Shifts word offsets from segment time to call time
+   * @param {Array} words - Words from a recognition alternative
+   * @param {number} offsetMs - Segment start within the call
+   * @returns {Array} Words with startTime/endTime in seconds from the call start
+   */
+  static shiftWords(words, offsetMs) {
+    return (words || []).map(({ startOffset, endOffset, ...word }) => {
+      const startMs = this.offsetToMs(word.startTime ?? startOffset);
+      const endMs = this.offsetToMs(word.endTime ?? endOffset);
+      return {
+        ...word,
+        startTime: startMs === null ? null : (startMs + offsetMs) / 1000,
+        endTime: endMs === null ? null : (endMs + offsetMs) / 1000
+      };
+    });
+  }
+
+  /**
+   * Combines segment responses into one response in call time
+   * @param {Array} recognitions - Segment recognitions as { segment, response }
+   * @param {number} offsetMs - Start of the transcribed audio within the call (trimmed lead-in)
+   * @returns {Object} Recognition response covering all segments
+   */
+  static mergeSegmentResponses(recognitions, offsetMs = 0) {
+    if (recognitions.length === 1 && recognitions[0].segment.startMs + offsetMs === 0) {
+      return recognitions[0].response;
+    }
+    
+    return {
+      results: recognitions.flatMap(({ segment, response }) =>
+        (response.results || []).map(result => ({
+          ...result,
+          alternatives: (result.alternatives || []).map(alternative => ({
+            ...alternative,
+            words: this.shiftWords(alternative.words, segment.startMs + offsetMs)
+          }))
+        }))
+      )
+    };
+  }
+
+  /**
+   * Transcribes audio from WAV file, splitting long audio into segments
    * @param {string} wavFilePath - Path to WAV file
+   * @param {Object} options - { callId, speechProvider, fixturesDir, speechEndpoint, recordFixturesDir, noCache, maxAttempts, rateLimit, analyzeSeconds, offsetMs }
    * @returns {Promise<Object>} Transcription result
    */
-  static async transcribeAudio(wavFilePath) {
+  static async transcribeAudio(wavFilePath, options = {}) {
     const startTime = Date.now();
     
     console.log(`Transcribing audio: ${wavFilePath}`);
@@ -71,16 +164,49 @@ export class SpeechProcessor {
       console.log('Reading WAV file...');
       const audioBytes = await fs.readFile(wavFilePath);
       
-      // Prepare request
-      const request = {
-        audio: { content: audioBytes.toString('base64') },
-        config: this.createRecognitionConfig()
-      };
+      // The recognition config follows the file's own format
+      const format = WavHeaderGenerator.parseHeader(audioBytes);
+      if (format.audioFormat !== WAV_HEADER.PCM_FORMAT || format.bitsPerSample !== 16) {
+        throw new Error(`Unsupported WAV format ${format.audioFormat} (${format.bitsPerSample}-bit): expected 16-bit PCM`);
+      }
+      
+      const provider = this.getProvider(options.speechProvider);
+      const config = this.createRecognitionConfig(format);
+      
+      // Only the beginning of the call matters for detection when analyzeSeconds is set;
+      // a trimmed lead-in (offsetMs) counts towards it
+      const offsetMs = options.offsetMs || 0;
+      const analyzeSeconds = options.analyzeSeconds ? Math.max(options.analyzeSeconds - offsetMs / 1000, 0) : null;
+      const wavPcm = audioBytes.subarray(format.dataOffset, format.dataOffset + format.dataLength);
+      const pcm = analyzeSeconds === 0 ? wavPcm.subarray(0, 0) : AudioSegmenter.truncate(wavPcm, analyzeSeconds);
+      const segments = pcm.length > 0 ? AudioSegmenter.split(pcm, provider.maxSegmentMs || Infinity) : [];
+      
+      if (segments.length > 1) {
+        console.log(`Split ${(AudioSegmenter.bytesToMs(pcm.length) / 1000).toFixed(1)}s of audio into ${segments.length} segments`);
+      }
+      
+      const recognitions = [];
+      for (const segment of segments) {
+        const segmentPcm = pcm.subarray(segment.startByte, segment.endByte);
+        const segmentBytes = Buffer.concat([WavHeaderGenerator.generateHeader(segmentPcm.length, format), segmentPcm]);
+        
+        if (segments.length > 1) {
+          console.log(`Segment ${segment.index + 1}/${segments.length}: ${(segment.startMs / 1000).toFixed(1)}s - ${(segment.endMs / 1000).toFixed(1)}s`);
+        }
+        
+        recognitions.push({ segment, ...await this.recognize(segmentBytes, provider, config, options) });
+      }
       
-      // Send to Google Speech API
-      console.log('Sending to Google Speech API...');
-      const client = this.getClient();
-      const [response] = await client.recognize(request);
+      const response = this.mergeSegmentResponses(recognitions, provider.reportsCallTime ? 0 : offsetMs);
+      const cacheStates = recognitions.map(recognition => recognition.cache);
+      const cache = cacheStates.length === 0 || cacheStates.includes('bypass') ? 'bypass' : (cacheStates.includes('miss') ? 'miss' : 'hit');
+      const attempts = recognitions.reduce((sum, recognition) => sum + recognition.attempts, 0);
+      
+      // Keep the raw response so the call can be replayed offline
+      if (options.recordFixturesDir && options.callId) {
+        const fixturePath = await FixtureSpeechProvider.record(options.callId, response, options.recordFixturesDir);
+        console.log(`Recorded response to ${fixturePath}`);
+      }
       
       const duration = ((Date.now() - startTime) / 1000).toFixed(2);
       
@@ -97,19 +223,64 @@ export class SpeechProcessor {
       return {
         success: true,
         filePath: wavFilePath,
+        provider: provider.providerName,
+        cache,
+        attempts,
+        analyzedMs: AudioSegmenter.bytesToMs(pcm.length),
+        offsetMs,
+        segments: recognitions.map(({ segment, cache, attempts }) => ({
+          startMs: segment.startMs + offsetMs,
+          endMs: segment.endMs + offsetMs,
+          cache,
+          attempts
+        })),
         processingTime: duration + 's',
         ...results
       };
       
     } catch (error) {
       console.error(`Transcription failed: ${error.message}`);
-      throw new Error(`Speech transcription failed: ${error.message}`);
+      throw new Error(`Speech transcription failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Converts a recognition time offset to milliseconds
+   * @param {Object|string|number} offset - Duration ({seconds, nanos}), "1.200s" or seconds
+   * @returns {number|null} Offset in milliseconds
+   */
+  static offsetToMs(offset) {
+    if (offset === undefined || offset === null) return null;
+    
+    if (typeof offset === 'number') {
+      return Math.round(offset * 1000);
     }
+    
+    if (typeof offset === 'string') {
+      const seconds = parseFloat(offset);
+      return isNaN(seconds) ? null : Math.round(seconds * 1000);
+    }
+    
+    return Math.round(Number(offset.seconds || 0) * 1000 + Number(offset.nanos || 0) / 1e6);
+  }
+
+  /**
+   * Normalizes recognized words to millisecond offsets
+   * @param {Array} words - Words from a recognition alternative
+   * @returns {Array} Words as {word, startMs, endMs, confidence}
+   */
+  static normalizeWords(words) {
+    return (words || []).map(word => ({
+      word: word.word,
+      startMs: this.offsetToMs(word.startTime ?? word.startOffset),
+      endMs: this.offsetToMs(word.endTime ?? word.endOffset),
+      confidence: word.confidence || 0
+    }));
   }
 
   /**
-   * Processes Google Speech API recognition results
-   * @param {Object} response - API response
+   * Processes recognition results (Google Speech API response format)
+   * @param {Object} response - Provider response
    * @returns {Object} Processed results
    */
   static processRecognitionResults(response) {
@@ -126,7 +297,7 @@ export class SpeechProcessor {
           transcripts.push({
             transcript: alternative.transcript,
             confidence: alternative.confidence || 0,
-            words: alternative.words || []
+            words: this.normalizeWords(alternative.words)
           });
           
           // Track best transcript
@@ -199,6 +370,10 @@ export class SpeechProcessor {
     
     lines.push('=== SPEECH TRANSCRIPTION RESULTS ===');
     lines.push(`File: ${result.filePath}`);
+    lines.push(`Provider: ${result.provider}`);
+    lines.push(`Cache: ${result.cache}`);
+    lines.push(`Attempts: ${result.attempts}`);
+    lines.push(`Analyzed Audio: ${(result.analyzedMs / 1000).toFixed(1)}s in ${result.segments.length} segment(s)`);
     lines.push(`Processing Time: ${result.processingTime}`);
     lines.push(`Success: ${result.success}`);
     lines.push('');
@@ -239,18 +414,23 @@ export class SpeechProcessor {
   /**
    * Processes speech transcription for a base identifier
    * @param {string} baseId - Base identifier
+   * @param {Object} options - Provider options passed to transcribeAudio, plus { outputDir, preprocess }
    * @returns {Promise<Object>} Complete transcription result
    */
-  static async processSpeech(baseId) {
-    const wavFile = `${PATHS.OUTPUT_DIR}/${baseId}.wav`;
-    const txtFile = `${PATHS.OUTPUT_DIR}/${baseId}.txt`;
+  static async processSpeech(baseId, options = {}) {
+    const outputDir = options.outputDir || PATHS.OUTPUT_DIR;
+    const wavFile = options.preprocess ? `${outputDir}/${baseId}.processed.wav` : `${outputDir}/${baseId}.wav`;
+    const txtFile = `${outputDir}/${baseId}.txt`;
     
     try {
       // Check if WAV file exists
       await fs.access(wavFile);
       
+      // Word times are mapped back to the original recording with the trim offset
+      const offsetMs = options.preprocess ? await this.readPreprocessingOffset(`${outputDir}/${baseId}.preprocessing.json`) : 0;
+      
       // Transcribe audio
-      const transcriptionResult = await this.transcribeAudio(wavFile);
+      const transcriptionResult = await this.transcribeAudio(wavFile, { ...options, callId: baseId, offsetMs });
       
       // Save transcription
       console.log('Saving transcription...');
@@ -269,7 +449,24 @@ export class SpeechProcessor {
       
     } catch (error) {
       console.error(`Speech processing failed: ${error.message}`);
-      throw new Error(`Speech processing failed for ${baseId}: ${error.message}`);
+      throw new Error(`Speech processing failed for ${baseId}: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Reads where the preprocessed audio starts within the original recording
+   * @param {string} reportFile - Preprocessing report written by AudioProcessor.processAudio
+   * @returns {Promise<number>} Trim offset in milliseconds
+   */
+  static async readPreprocessingOffset(reportFile) {
+    try {
+      const report = JSON.parse(await fs.readFile(reportFile, 'utf8'));
+      return report.offsetMs || 0;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Preprocessing report not found: ${reportFile} (convert the audio with --preprocess first)`);
+      }
+      throw new Error(`Invalid preprocessing report ${reportFile}: ${error.message}`, { cause: error });
     }
   }
 } 
\ No newline at end of file
@@ -0,0 +1,398 @@
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { EventEmitter } from 'events';
+import { AudioProcessor } from './AudioProcessor.js';
+import { AcousticAnalyzer } from './AcousticAnalyzer.js';
+import { ToneDetector } from './ToneDetector.js';
+import { CallToneClassifier } from './CallToneClassifier.js';
+import { OutcomeClassifier } from './OutcomeClassifier.js';
+import { CarrierAnnouncementMatcher } from './CarrierAnnouncementMatcher.js';
+import { RuleEngine } from './RuleEngine.js';
+import { SpeechProcessor } from './SpeechProcessor.js';
+import { AudioDecoder } from './AudioDecoder.js';
+import { PATHS, AUDIO_CONFIG, ACOUSTIC, REASSEMBLY, STREAMING, DECODING, CALL_OUTCOMES } from '../config/AudioConfig.js';
+
+/**
+ * Streaming Detector
+ * Tails a growing _data/_timeSize pair and decides the call outcome while the call is live
+ */
+export class StreamingDetector {
+
+  /**
+   * Reads timing entries written so far, ignoring an entry still being written
+   * @param {string} timeSizeFile - Path to _timeSize file
+   * @param {boolean} complete - The file is no longer growing
+   * @returns {Promise<Array>} Timing entries
+   */
+  static async readTimingEntries(timeSizeFile, complete = false) {
+    let content;
+    try {
+      content = await fs.readFile(timeSizeFile, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    
+    if (!complete) {
+      content = content.slice(0, content.lastIndexOf(',') + 1);
+    }
+    return AudioProcessor.parseTimingData(content);
+  }
+
+  /**
+   * Gets the payload size of one frame
+   * @param {string|null} codec - Payload codec, null while it is still being detected
+   * @returns {number} Frame size in bytes
+   */
+  static getFrameSize(codec) {
+    // Until the codec is known, the smallest frame still splits every codec on whole samples
+    const bytesPerSample = codec
+      ? AudioDecoder.getBytesPerSample(codec)
+      : Math.min(...AudioDecoder.getCodecs().map(name => AudioDecoder.getBytesPerSample(name)));
+    return REASSEMBLY.FRAME_SIZE / AUDIO_CONFIG.BLOCK_ALIGN * bytesPerSample;
+  }
+
+  /**
+   * Reads whole frames appended to the data file since the last read
+   * @param {string} dataFile - Path to _data file
+   * @param {number} offset - Bytes already consumed
+   * @param {number} frameSize - Payload bytes per frame (1 reads everything left)
+   * @returns {Promise<Buffer|null>} New frames, or null when the file has not grown
+   */
+  static async readNewFrames(dataFile, offset, frameSize = REASSEMBLY.FRAME_SIZE) {
+    let handle;
+    try {
+      handle = await fs.open(dataFile, 'r');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    
+    try {
+      const { size } = await handle.stat();
+      const length = Math.floor((size - offset) / frameSize) * frameSize;
+      if (length <= 0) return null;
+      
+      const buffer = Buffer.alloc(length);
+      await handle.read(buffer, 0, length, offset);
+      return buffer;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Finds the call time of the latest received byte from the timing entries
+   * @param {Array} timingEntries - Parsed timing entries
+   * @param {number} byteCount - Bytes received so far
+   * @returns {number|null} Milliseconds since the first entry
+   */
+  static getCallTimeMs(timingEntries, byteCount) {
+    if (!timingEntries.length) return null;
+    
+    let bytes = 0;
+    for (const entry of timingEntries) {
+      bytes += entry.size;
+      if (bytes >= byteCount) {
+        return entry.timestamp - timingEntries[0].timestamp;
+      }
+    }
+    return timingEntries[timingEntries.length - 1].timestamp - timingEntries[0].timestamp;
+  }
+
+  /**
+   * Creates the per-call frame analysis that evaluate extends as audio arrives
+   * @returns {Object} { samples, energies, peaks, labels }
+   */
+  static createAnalysis() {
+    return { samples: new Int16Array(0), energies: [], peaks: [], labels: [] };
+  }
+
+  /**
+   * Analyzes only the frames received since the last update, so each evaluation
+   * costs the new audio rather than the whole call
+   * @param {Object} analysis - Result from createAnalysis, updated in place
+   * @param {Buffer} pcm - PCM received so far (earlier bytes never change)
+   * @returns {Object} The same analysis
+   */
+  static updateAnalysis(analysis, pcm) {
+    const count = Math.floor(pcm.length / 2);
+    if (count > analysis.samples.length) {
+      const samples = new Int16Array(count);
+      samples.set(analysis.samples);
+      for (let i = analysis.samples.length; i < count; i++) {
+        samples[i] = pcm.readInt16LE(i * 2);
+      }
+      analysis.samples = samples;
+    }
+    
+    const { samples, energies, peaks, labels } = analysis;
+    const energyFrameSamples = AUDIO_CONFIG.SAMPLE_RATE * ACOUSTIC.FRAME_DURATION_MS / 1000;
+    energies.push(...AcousticAnalyzer.computeFrameEnergies(samples, energyFrameSamples, energies.length));
+    peaks.push(...ToneDetector.scanFrames(samples, peaks.length));
+    labels.push(...CallToneClassifier.labelFrames(samples, labels.length));
+    
+    return analysis;
+  }
+
+  /**
+   * Classifies the audio and transcript received so far
+   * @param {Buffer} pcm - PCM received so far
+   * @param {string} transcript - Final transcript received so far
+   * @param {Object} ruleSet - Compiled rule set
+   * @param {Object} analysis - Frame analysis of earlier evaluations of the same call (from createAnalysis)
+   * @returns {Object} { outcome, acoustic, beep, callTones, carrierAnnouncement, rules }
+   */
+  static evaluate(pcm, transcript, ruleSet, analysis = this.createAnalysis()) {
+    const { samples, energies, peaks, labels } = this.updateAnalysis(analysis, pcm);
+    const acoustic = AcousticAnalyzer.analyzeEnergies(energies);
+    const callTones = CallToneClassifier.classifyLabels(labels);
+    const beep = CallToneClassifier.resolveBeep(callTones, ToneDetector.findBeep(samples, peaks));
+    
+    // Silence is only known once the whole analysis window has been heard
+    let acousticEvidence = acoustic;
+    if (acoustic.verdict.label === 'silence' && acoustic.features.windowMs < ACOUSTIC.ANALYSIS_WINDOW_MS) {
+      acousticEvidence = { ...acoustic, verdict: { label: 'unknown', detected: null, confidence: 0 } };
+    }
+    
+    const rules = transcript ? RuleEngine.evaluate(transcript, ruleSet) : null;
+    const carrierAnnouncement = CarrierAnnouncementMatcher.match(transcript);
+    
+    const outcome = OutcomeClassifier.classify({
+      transcriptDetected: rules ? rules.detected : null,
+      transcript,
+      acoustic: acousticEvidence,
+      useAcoustic: true,
+      beep,
+      callTones,
+      carrierAnnouncement
+    });
+    
+    return { outcome, acoustic, beep, callTones, carrierAnnouncement, rules };
+  }
+
+  /**
+   * Checks whether an evaluation is confident enough to decide before the call ends
+   * @param {Object} evaluation - Result from evaluate
+   * @param {number} threshold - Minimum outcome score
+   * @returns {boolean} True when the outcome can be reported
+   */
+  static isDecisive(evaluation, threshold = STREAMING.DECISION_THRESHOLD) {
+    const { outcome, callTones } = evaluation;
+    
+    // Until its cadence is known, a tone could be taken for a beep or a greeting
+    if (callTones.pending) return false;
+    
+    return outcome.label !== CALL_OUTCOMES.UNKNOWN && outcome.score >= threshold;
+  }
+
+  /**
+   * Picks the reported fields of an evaluation
+   * @param {Object} evaluation - Result from evaluate
+   * @param {string} transcript - Transcript the evaluation was based on
+   * @returns {Object} { outcome, transcript, acoustic, beep, callTones, carrierAnnouncement }
+   */
+  static describe(evaluation, transcript) {
+    return {
+      outcome: evaluation.outcome,
+      transcript,
+      acoustic: { verdict: evaluation.acoustic.verdict, features: evaluation.acoustic.features },
+      beep: evaluation.beep,
+      callTones: evaluation.callTones,
+      carrierAnnouncement: evaluation.carrierAnnouncement
+    };
+  }
+
+  /**
+   * Opens a streaming recognition session with the configured provider
+   * @param {string} baseId - Base identifier
+   * @param {Object} options - { speechProvider, fixturesDir, ... }
+   * @param {Function} onResult - Called with { transcript, isFinal, ... } for every result
+   * @returns {Object} Stream ({ write(pcm), end() })
+   */
+  static openRecognition(baseId, options, onResult) {
+    const provider = SpeechProcessor.getProvider(options.speechProvider);
+    if (!provider.openStream) {
+      throw new Error(`Speech provider "${provider.providerName}" does not support streaming recognition`);
+    }
+    return provider.openStream(
+      { ...options, callId: baseId, config: SpeechProcessor.createRecognitionConfig() },
+      onResult
+    );
+  }
+
+  /**
+   * Starts tailing a call
+   *
+   * Events:
+   *   'codec'      { codec, scores }                          payload codec detected
+   *   'audio'      { audioMs, callTimeMs }                    new frames received
+   *   'transcript' { transcript, isFinal, audioMs }           streaming recognition result
+   *   'decision'   { outcome, latencyMs, callTimeMs, ... }    first confident outcome
+   *   'end'        Summary ({ decision, final, audioMs, ... }) call finished or stopped
+   *   'error'      Error
+   *
+   * @param {string} baseId - Base identifier
+   * @param {Object} options - { dataDir, codec, recognition, speechProvider, fixturesDir, decisionThreshold, stopOnDecision, rulesPath, signal }
+   * @returns {EventEmitter} Session emitting the events above
+   */
+  static start(baseId, options = {}) {
+    const session = new EventEmitter();
+    
+    // Let the caller attach listeners before the first event
+    setImmediate(() => {
+      this.run(baseId, options, session).catch(error => session.emit('error', error));
+    });
+    
+    return session;
+  }
+
+  /**
+   * Tails the files until the call ends, emitting events on the session
+   * @param {string} baseId - Base identifier
+   * @param {Object} options - See start
+   * @param {EventEmitter} session - Session to emit on
+   * @returns {Promise<Object>} Summary also emitted as 'end'
+   */
+  static async run(baseId, options, session) {
+    const dataDir = options.dataDir || PATHS.DATA_DIR;
+    const dataFile = `${dataDir}/${baseId}_data`;
+    const timeSizeFile = `${dataDir}/${baseId}_timeSize`;
+    const threshold = options.decisionThreshold ?? STREAMING.DECISION_THRESHOLD;
+    const bytesPerMs = AUDIO_CONFIG.BYTE_RATE / 1000;
+    const startTime = Date.now();
+    
+    const ruleSet = await RuleEngine.loadRules(options.rulesPath);
+    
+    let pcm = Buffer.alloc(0);
+    let received = 0;
+    let timingEntries = [];
+    let lastGrowth = Date.now();
+    let evaluatedMs = -Infinity;
+    let evaluation = null;
+    let decision = null;
+    
+    // Optional streaming recognition; only final results count as evidence
+    const finals = [];
+    const recognition = options.recognition ? this.openRecognition(baseId, options, result => {
+      if (result.isFinal) finals.push(result.transcript.trim());
+      session.emit('transcript', { ...result, audioMs: Math.round(pcm.length / bytesPerMs) });
+    }) : null;
+    
+    const analysis = this.createAnalysis();
+    const decide = () => {
+      evaluation = this.evaluate(pcm, finals.join(''), ruleSet, analysis);
+      evaluatedMs = pcm.length / bytesPerMs;
+      
+      if (decision || !this.isDecisive(evaluation, threshold)) {
+        return;
+      }
+      
+      decision = {
+        baseId,
+        latencyMs: Math.round(evaluatedMs),
+        callTimeMs: this.getCallTimeMs(timingEntries, received),
+        wallClockMs: Date.now() - startTime,
+        ...this.describe(evaluation, finals.join(''))
+      };
+      session.emit('decision', decision);
+    };
+    
+    // With --codec auto, payload is held back until the codecs can be told apart
+    const detect = (options.codec || DECODING.CODEC) === 'auto';
+    let codec = null;
+    let pending = Buffer.alloc(0);
+    
+    const decodePending = async (final = false) => {
+      if (!codec) {
+        const resolved = AudioDecoder.resolveCodec(pending, options.codec);
+        // Silence or hiss at the start says nothing about the codec, so it is not locked in on them
+        if (!resolved.settled && !final) return false;
+        codec = resolved;
+        if (codec.detected) session.emit('codec', { codec: codec.codec, scores: codec.scores });
+      }
+      
+      const frames = AudioDecoder.decode(pending, codec.codec);
+      pending = Buffer.alloc(0);
+      pcm = Buffer.concat([pcm, frames]);
+      if (recognition) await recognition.write(frames);
+      return true;
+    };
+    
+    while (!options.signal?.aborted) {
+      const data = await this.readNewFrames(dataFile, received, this.getFrameSize(codec ? codec.codec : (detect ? null : options.codec)));
+      
+      if (data) {
+        received += data.length;
+        pending = Buffer.concat([pending, data]);
+        lastGrowth = Date.now();
+        timingEntries = await this.readTimingEntries(timeSizeFile);
+      }
+      
+      if (data && await decodePending()) {
+        const audioMs = Math.round(pcm.length / bytesPerMs);
+        session.emit('audio', { audioMs, callTimeMs: this.getCallTimeMs(timingEntries, received) });
+        
+        if (audioMs <= STREAMING.MAX_ANALYSIS_MS && audioMs - evaluatedMs >= STREAMING.EVALUATION_INTERVAL_MS) {
+          decide();
+        }
+      } else if (!data && Date.now() - lastGrowth > (options.idleTimeoutMs ?? STREAMING.IDLE_TIMEOUT_MS)) {
+        break;
+      }
+      
+      if (decision && options.stopOnDecision) break;
+      
+      await new Promise(resolve => setTimeout(resolve, STREAMING.POLL_INTERVAL_MS));
+    }
+    
+    // The call is over: a trailing partial frame is audio too (decoding keeps whole samples)
+    if (!options.signal?.aborted) {
+      const rest = await this.readNewFrames(dataFile, received, 1);
+      if (rest) {
+        received += rest.length;
+        pending = Buffer.concat([pending, rest]);
+      }
+    }
+    
+    // Final verdict over everything received, including late recognition results
+    if (pending.length > 0) await decodePending(true);
+    if (recognition) await recognition.end();
+    timingEntries = await this.readTimingEntries(timeSizeFile, true);
+    if (pcm.length > 0) decide();
+    
+    const summary = {
+      baseId,
+      dataFile,
+      audioMs: Math.round(pcm.length / bytesPerMs),
+      callTimeMs: this.getCallTimeMs(timingEntries, received),
+      wallClockMs: Date.now() - startTime,
+      codec: codec ? codec.codec : null,
+      stopped: Boolean(options.signal?.aborted),
+      decision,
+      final: evaluation ? this.describe(evaluation, finals.join('')) : null
+    };
+    
+    session.emit('end', summary);
+    return summary;
+  }
+
+  /**
+   * Saves a stream summary to the output directory
+   * @param {Object} summary - Summary emitted as 'end'
+   * @returns {Promise<string|null>} Saved file path, or null on failure
+   */
+  static async saveSummary(summary) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const outputPath = join(PATHS.OUTPUT_DIR, `stream-${summary.baseId}-${timestamp}.json`);
+    
+    try {
+      await fs.mkdir(PATHS.OUTPUT_DIR, { recursive: true });
+      await fs.writeFile(outputPath, JSON.stringify(summary, null, 2), 'utf8');
+      console.log(`Stream results saved to: ${outputPath}`);
+      return outputPath;
+    } catch (error) {
+      console.warn(`Failed to save stream results: ${error.message}`);
+      return null;
+    }
+  }
+} 
\ No newline at end of file
@@ -0,0 +1,135 @@
+import { NORMALIZATION_DEFAULTS, FUZZY_DEFAULTS, KANJI_READINGS } from '../config/TextNormalization.js';
+
+// Longest spellings first so compound words win over their parts
+const READING_ENTRIES = Object.entries(KANJI_READINGS).sort((a, b) => b[0].length - a[0].length);
+
+/**
+ * Text Normalizer
+ * Normalizes Japanese/English transcripts and performs fuzzy pattern matching
+ */
+export class TextNormalizer {
+
+  /**
+   * Converts katakana to hiragana
+   * @param {string} text - Input text
+   * @returns {string} Text with katakana folded to hiragana
+   */
+  static foldKana(text) {
+    return text.replace(/[ァ-ヶ]/g, char =>
+      String.fromCharCode(char.charCodeAt(0) - 0x60)
+    );
+  }
+
+  /**
+   * Replaces known kanji spellings with their reading
+   * @param {string} text - Input text
+   * @returns {string} Text with vocabulary readings applied
+   */
+  static applyReadings(text) {
+    let result = text;
+    for (const [spelling, reading] of READING_ENTRIES) {
+      if (result.includes(spelling)) {
+        result = result.split(spelling).join(reading);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Normalizes text for pattern matching
+   * @param {string} text - Input text
+   * @param {Object} settings - Normalization steps to apply (see NORMALIZATION_DEFAULTS)
+   * @returns {string} Normalized text
+   */
+  static normalize(text, settings = {}) {
+    if (!text || typeof text !== 'string') {
+      return '';
+    }
+    
+    const steps = { ...NORMALIZATION_DEFAULTS, ...settings };
+    let result = text;
+    
+    if (steps.nfkc) result = result.normalize('NFKC');
+    if (steps.lowercase) result = result.toLowerCase();
+    if (steps.readings) result = this.applyReadings(result);
+    if (steps.kanaFolding) result = this.foldKana(result);
+    if (steps.stripPunctuation) result = result.replace(/[\s\p{P}\p{S}]/gu, '');
+    
+    return result;
+  }
+
+  /**
+   * Finds the substring of text closest to pattern (Sellers' approximate matching)
+   * @param {string} text - Text to search
+   * @param {string} pattern - Pattern to find
+   * @returns {Object} { distance, start, end } of the best match
+   */
+  static approximateSearch(text, pattern) {
+    const m = pattern.length;
+    // previous[i]/current[i]: edit distance of pattern[0..i) ending at the current text position
+    let previous = Array.from({ length: m + 1 }, (_, i) => i);
+    let previousStart = new Array(m + 1).fill(0);
+    let best = { distance: m, start: 0, end: 0 };
+    
+    for (let j = 1; j <= text.length; j++) {
+      const current = [0];
+      const currentStart = [j];
+      
+      for (let i = 1; i <= m; i++) {
+        const substitution = previous[i - 1] + (pattern[i - 1] === text[j - 1] ? 0 : 1);
+        const deletion = previous[i] + 1;
+        const insertion = current[i - 1] + 1;
+        
+        if (substitution <= deletion && substitution <= insertion) {
+          current[i] = substitution;
+          currentStart[i] = previousStart[i - 1];
+        } else if (deletion <= insertion) {
+          current[i] = deletion;
+          currentStart[i] = previousStart[i];
+        } else {
+          current[i] = insertion;
+          currentStart[i] = currentStart[i - 1];
+        }
+      }
+      
+      if (current[m] < best.distance) {
+        best = { distance: current[m], start: currentStart[m], end: j };
+      }
+      
+      previous = current;
+      previousStart = currentStart;
+    }
+    
+    return best;
+  }
+
+  /**
+   * Finds a normalized pattern in normalized text, tolerating ASR errors
+   * @param {string} text - Normalized text
+   * @param {string} pattern - Normalized pattern
+   * @param {Object} fuzzy - { tolerance, minLength } (tolerance 0 disables fuzzy matching)
+   * @returns {Object|null} { match, distance } or null
+   */
+  static findMatch(text, pattern, fuzzy = {}) {
+    if (!pattern) return null;
+    
+    const index = text.indexOf(pattern);
+    if (index !== -1) {
+      return { match: pattern, distance: 0 };
+    }
+    
+    const { tolerance, minLength } = { ...FUZZY_DEFAULTS, ...fuzzy };
+    const maxDistance = Math.floor(pattern.length * tolerance);
+    
+    if (maxDistance < 1 || pattern.length < minLength) {
+      return null;
+    }
+    
+    const best = this.approximateSearch(text, pattern);
+    if (best.distance > maxDistance) {
+      return null;
+    }
+    
+    return { match: text.slice(best.start, best.end), distance: best.distance };
+  }
+} 
\ No newline at end of file
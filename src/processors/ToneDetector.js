@@ -0,0 +1,222 @@
+import { AudioProcessor } from './AudioProcessor.js';
+import { AUDIO_CONFIG, BEEP } from '../config/AudioConfig.js';
+
+/**
+ * Tone Detector
+ * Finds steady single-frequency tones (voicemail beeps) with the Goertzel algorithm
+ */
+export class ToneDetector {
+
+  /**
+   * Computes the signal power at one frequency (Goertzel algorithm)
+   * @param {Int16Array} samples - Audio samples
+   * @param {number} start - First sample index
+   * @param {number} length - Number of samples
+   * @param {number} frequency - Target frequency in Hz
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {number} Squared magnitude at the target frequency
+   */
+  static goertzelPower(samples, start, length, frequency, sampleRate = AUDIO_CONFIG.SAMPLE_RATE) {
+    const coefficient = 2 * Math.cos(2 * Math.PI * frequency / sampleRate);
+    let previous = 0;
+    let beforePrevious = 0;
+    
+    for (let i = start; i < start + length; i++) {
+      const current = samples[i] + coefficient * previous - beforePrevious;
+      beforePrevious = previous;
+      previous = current;
+    }
+    
+    return previous * previous + beforePrevious * beforePrevious - coefficient * previous * beforePrevious;
+  }
+
+  /**
+   * Computes the sum of squared samples
+   * @param {Int16Array} samples - Audio samples
+   * @param {number} start - First sample index
+   * @param {number} length - Number of samples
+   * @returns {number} Signal energy
+   */
+  static energy(samples, start, length) {
+    let sum = 0;
+    for (let i = start; i < start + length; i++) {
+      sum += samples[i] * samples[i];
+    }
+    return sum;
+  }
+
+  /**
+   * Share of the window energy carried by one frequency (1.0 for a pure sine on-bin)
+   * @param {number} power - Goertzel power
+   * @param {number} energy - Window energy
+   * @param {number} length - Window length in samples
+   * @returns {number} Purity between 0 and 1
+   */
+  static purity(power, energy, length) {
+    return energy > 0 ? Math.min(1, 2 * power / (length * energy)) : 0;
+  }
+
+  /**
+   * Finds the dominant frequency of a window within a search range
+   * @param {Int16Array} samples - Audio samples
+   * @param {number} start - First sample index
+   * @param {number} length - Number of samples
+   * @param {Object} range - { min, max, step } in Hz
+   * @returns {Object} { frequency, purity, rms }
+   */
+  static dominantFrequency(samples, start, length, range) {
+    const energy = this.energy(samples, start, length);
+    let bestFrequency = 0;
+    let bestPower = 0;
+    
+    for (let frequency = range.min; frequency <= range.max; frequency += range.step) {
+      const power = this.goertzelPower(samples, start, length, frequency);
+      if (power > bestPower) {
+        bestPower = power;
+        bestFrequency = frequency;
+      }
+    }
+    
+    return {
+      frequency: bestFrequency,
+      purity: this.purity(bestPower, energy, length),
+      rms: Math.sqrt(energy / length)
+    };
+  }
+
+  /**
+   * Finds the dominant frequency of each frame
+   * @param {Int16Array} samples - Audio samples
+   * @param {number} fromFrame - First frame to scan (earlier frames were scanned before)
+   * @returns {Array} Peaks as {frequency, purity, rms}, one per whole frame from fromFrame
+   */
+  static scanFrames(samples, fromFrame = 0) {
+    const frameSamples = AUDIO_CONFIG.SAMPLE_RATE * BEEP.FRAME_DURATION_MS / 1000;
+    const range = { min: BEEP.MIN_FREQUENCY, max: BEEP.MAX_FREQUENCY, step: BEEP.FREQUENCY_STEP };
+    const peaks = [];
+    
+    for (let frame = fromFrame; (frame + 1) * frameSamples <= samples.length; frame++) {
+      peaks.push(this.dominantFrequency(samples, frame * frameSamples, frameSamples, range));
+    }
+    
+    return peaks;
+  }
+
+  /**
+   * Finds runs of frames carrying the same steady tone
+   * @param {Array} peaks - Result from scanFrames
+   * @returns {Array} Tone runs as {startFrame, endFrame, frequencies}
+   */
+  static findToneRuns(peaks) {
+    const runs = [];
+    let current = null;
+    
+    peaks.forEach((peak, frame) => {
+      const isTone = peak.purity >= BEEP.MIN_PURITY && peak.rms >= BEEP.MIN_RMS;
+      
+      if (isTone && current &&
+          Math.abs(peak.frequency - current.frequencies[current.frequencies.length - 1]) <= BEEP.MAX_FREQUENCY_DRIFT) {
+        current.endFrame = frame + 1;
+        current.frequencies.push(peak.frequency);
+        return;
+      }
+      
+      if (current) {
+        runs.push(current);
+        current = null;
+      }
+      
+      if (isTone) {
+        current = { startFrame: frame, endFrame: frame + 1, frequencies: [peak.frequency] };
+      }
+    });
+    
+    if (current) {
+      runs.push(current);
+    }
+    
+    return runs;
+  }
+
+  /**
+   * Checks whether a frequency belongs to a call-progress tone (ringback, busy, dial tone)
+   * @param {number} frequency - Tone frequency in Hz
+   * @returns {boolean} True when it cannot be a voicemail beep
+   */
+  static isCallProgressFrequency(frequency) {
+    return BEEP.CALL_PROGRESS_FREQUENCIES.some(callProgress =>
+      Math.abs(frequency - callProgress) <= BEEP.CALL_PROGRESS_TOLERANCE_HZ);
+  }
+
+  /**
+   * Checks that no other burst of the same frequency plays shortly before or after a tone
+   * @param {Object} tone - Tone as {frequency, startMs, durationMs}
+   * @param {Array} bursts - All steady tones found in the audio
+   * @returns {boolean} True when the tone stands alone
+   */
+  static isIsolated(tone, bursts) {
+    const endMs = tone.startMs + tone.durationMs;
+    
+    return !bursts.some(burst => burst !== tone &&
+      Math.abs(burst.frequency - tone.frequency) <= BEEP.MAX_FREQUENCY_DRIFT &&
+      burst.startMs < endMs + BEEP.ISOLATION_MS &&
+      burst.startMs + burst.durationMs > tone.startMs - BEEP.ISOLATION_MS);
+  }
+
+  /**
+   * Detects voicemail beeps in PCM audio
+   * @param {Buffer} pcm - 16-bit little-endian PCM audio
+   * @returns {Object} { detected, frequency, startMs, durationMs, purity, tones }
+   */
+  static detectBeep(pcm) {
+    const samples = AudioProcessor.toSamples(pcm);
+    return this.findBeep(samples, this.scanFrames(samples));
+  }
+
+  /**
+   * Detects voicemail beeps from already scanned frames
+   * @param {Int16Array} samples - Audio samples
+   * @param {Array} peaks - Result from scanFrames over the same samples
+   * @returns {Object} { detected, frequency, startMs, durationMs, purity, tones }
+   */
+  static findBeep(samples, peaks) {
+    const frameMs = BEEP.FRAME_DURATION_MS;
+    const frameSamples = AUDIO_CONFIG.SAMPLE_RATE * frameMs / 1000;
+    
+    const bursts = this.findToneRuns(peaks)
+      .map(run => {
+        const durationMs = (run.endFrame - run.startFrame) * frameMs;
+        const start = run.startFrame * frameSamples;
+        const length = (run.endFrame - run.startFrame) * frameSamples;
+        
+        // Refine the coarse per-frame estimate over the whole run
+        const coarse = run.frequencies[Math.floor(run.frequencies.length / 2)];
+        const refined = this.dominantFrequency(samples, start, length, {
+          min: Math.max(1, coarse - BEEP.FREQUENCY_STEP),
+          max: coarse + BEEP.FREQUENCY_STEP,
+          step: 1
+        });
+        
+        return {
+          frequency: refined.frequency,
+          startMs: run.startFrame * frameMs,
+          durationMs,
+          purity: Number(refined.purity.toFixed(3))
+        };
+      })
+      // A beep keeps one frequency for its whole duration, unlike voiced speech
+      .filter(tone => tone.purity >= BEEP.MIN_PURITY && tone.durationMs >= BEEP.MIN_DURATION_MS);
+    
+    // ...and plays once, unlike the repeating ringback and busy tones
+    const tones = bursts.filter(tone => tone.durationMs <= BEEP.MAX_DURATION_MS &&
+      !this.isCallProgressFrequency(tone.frequency) &&
+      this.isIsolated(tone, bursts));
+    
+    if (!tones.length) {
+      return { detected: false, frequency: null, startMs: null, durationMs: null, purity: null, tones };
+    }
+    
+    const [beep] = tones;
+    return { detected: true, ...beep, tones };
+  }
+} 
\ No newline at end of file
@@ -0,0 +1,105 @@
+import { promises as fs } from 'fs';
+import { createHash, randomUUID } from 'crypto';
+import { join } from 'path';
+import { PATHS, WAV_HEADER } from '../config/AudioConfig.js';
+
+/**
+ * Transcription Cache
+ * Stores recognition responses on disk keyed by audio content and recognition config
+ */
+export class TranscriptionCache {
+
+  /**
+   * Computes the cache key for a recognition request
+   * @param {Buffer} audioBytes - WAV file content
+   * @param {Object} config - Recognition config sent to the provider
+   * @param {string} providerName - Provider name
+   * @returns {string} Hex SHA-256 key
+   */
+  static computeKey(audioBytes, config, providerName) {
+    // Hash the PCM payload only: the header is derived from it
+    return createHash('sha256')
+      .update(audioBytes.subarray(WAV_HEADER.SIZE))
+      .update(JSON.stringify(config))
+      .update(providerName)
+      .digest('hex');
+  }
+
+  /**
+   * Gets the cache file path for a key
+   * @param {string} key - Cache key
+   * @param {string} cacheDir - Cache directory
+   * @returns {string} Cache file path
+   */
+  static getEntryPath(key, cacheDir = PATHS.CACHE_DIR) {
+    return join(cacheDir, `${key}.json`);
+  }
+
+  /**
+   * Reads a cached recognition response
+   * @param {string} key - Cache key
+   * @param {string} cacheDir - Cache directory
+   * @returns {Promise<Object|null>} Recognition response or null on a miss
+   */
+  static async get(key, cacheDir = PATHS.CACHE_DIR) {
+    const entryPath = this.getEntryPath(key, cacheDir);
+    
+    try {
+      const entry = JSON.parse(await fs.readFile(entryPath, 'utf8'));
+      return entry.response;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Ignoring unreadable cache entry ${entryPath}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Stores a recognition response
+   * @param {string} key - Cache key
+   * @param {Object} response - Recognition response
+   * @param {Object} metadata - { provider, callId } stored alongside the response
+   * @param {string} cacheDir - Cache directory
+   * @returns {Promise<string>} Cache file path
+   */
+  static async set(key, response, metadata = {}, cacheDir = PATHS.CACHE_DIR) {
+    const entryPath = this.getEntryPath(key, cacheDir);
+    const entry = {
+      key,
+      ...metadata,
+      createdAt: new Date().toISOString(),
+      response
+    };
+    
+    await fs.mkdir(cacheDir, { recursive: true });
+    
+    // Write then rename so an interrupted run never leaves a truncated entry; the temp name is
+    // unique because concurrent jobs with identical audio write the same entry
+    const tempPath = `${entryPath}.${randomUUID()}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(entry), 'utf8');
+    await fs.rename(tempPath, entryPath);
+    
+    return entryPath;
+  }
+
+  /**
+   * Removes all cached responses
+   * @param {string} cacheDir - Cache directory
+   * @returns {Promise<number>} Number of entries removed
+   */
+  static async purge(cacheDir = PATHS.CACHE_DIR) {
+    let files;
+    try {
+      files = await fs.readdir(cacheDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw new Error(`Failed to read cache directory ${cacheDir}: ${error.message}`);
+    }
+    
+    const entries = files.filter(file => file.endsWith('.json') || file.endsWith('.tmp'));
+    await Promise.all(entries.map(file => fs.unlink(join(cacheDir, file))));
+    
+    return entries.filter(file => file.endsWith('.json')).length;
+  }
+} 
\ No newline at end of file
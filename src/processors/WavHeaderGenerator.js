@@ -9,15 +9,17 @@ export class WavHeaderGenerator {
   /**
    * Generates a complete WAV header buffer
    * @param {number} audioDataLength - Length of audio data in bytes
+   * @param {Object} format - PCM format ({ sampleRate, channels, bitsPerSample }), defaults to AUDIO_CONFIG
    * @returns {Buffer} 44-byte WAV header
    */
-  static generateHeader(audioDataLength) {
+  static generateHeader(audioDataLength, format = this.getDefaultFormat()) {
     if (!Number.isInteger(audioDataLength) || audioDataLength < 0) {
       throw new Error(`Invalid audio data length: ${audioDataLength}`);
     }
 
     const header = Buffer.alloc(WAV_HEADER.SIZE);
     const totalSize = audioDataLength + 36;
+    const blockAlign = format.channels * (format.bitsPerSample / 8);
     
     let offset = 0;
 
@@ -30,12 +32,12 @@ export class WavHeaderGenerator {
     header.write(WAV_HEADER.FMT_ID, offset); offset += 4;
     header.writeUInt32LE(16, offset); offset += 4; // Sub-chunk size
     header.writeUInt16LE(WAV_HEADER.PCM_FORMAT, offset); offset += 2;
-    header.writeUInt16LE(AUDIO_CONFIG.CHANNELS, offset); offset += 2;
-    header.writeUInt32LE(AUDIO_CONFIG.SAMPLE_RATE, offset); offset += 4;
-    header.writeUInt32LE(AUDIO_CONFIG.BYTE_RATE, offset); offset += 4;
-    header.writeUInt16LE(AUDIO_CONFIG.BLOCK_ALIGN, offset); offset += 2;
-    header.writeUInt16LE(AUDIO_CONFIG.BITS_PER_SAMPLE, offset); offset += 2;
-
+    header.writeUInt16LE(format.channels, offset); offset += 2;
+    header.writeUInt32LE(format.sampleRate, offset); offset += 4;
+    header.writeUInt32LE(format.sampleRate * blockAlign, offset); offset += 4; // Byte rate
+    header.writeUInt16LE(blockAlign, offset); offset += 2;
+    header.writeUInt16LE(format.bitsPerSample, offset); offset += 2;
+    
     // data sub-chunk header (8 bytes)
     header.write(WAV_HEADER.DATA_ID, offset); offset += 4;
     header.writeUInt32LE(audioDataLength, offset);
@@ -43,19 +45,76 @@ export class WavHeaderGenerator {
     return header;
   }
 
+  /**
+   * Gets the PCM format described by AUDIO_CONFIG
+   * @returns {Object} { sampleRate, channels, bitsPerSample }
+   */
+  static getDefaultFormat() {
+    return {
+      sampleRate: AUDIO_CONFIG.SAMPLE_RATE,
+      channels: AUDIO_CONFIG.CHANNELS,
+      bitsPerSample: AUDIO_CONFIG.BITS_PER_SAMPLE
+    };
+  }
+
+  /**
+   * Reads the format and audio data location of a WAV file
+   * @param {Buffer} wavBuffer - WAV file content
+   * @returns {Object} { audioFormat, channels, sampleRate, bitsPerSample, dataOffset, dataLength }
+   */
+  static parseHeader(wavBuffer) {
+    if (wavBuffer.length < 12 ||
+        wavBuffer.toString('ascii', 0, 4) !== WAV_HEADER.RIFF_ID ||
+        wavBuffer.toString('ascii', 8, 12) !== WAV_HEADER.WAVE_ID) {
+      throw new Error('Not a RIFF/WAVE file');
+    }
+    
+    let format = null;
+    let offset = 12;
+    
+    // Walk the chunks; extra ones (LIST, fact, ...) are skipped
+    while (offset + 8 <= wavBuffer.length) {
+      const chunkId = wavBuffer.toString('ascii', offset, offset + 4);
+      const chunkSize = wavBuffer.readUInt32LE(offset + 4);
+      const chunkStart = offset + 8;
+      
+      if (chunkId === WAV_HEADER.FMT_ID && chunkSize >= 16) {
+        format = {
+          audioFormat: wavBuffer.readUInt16LE(chunkStart),
+          channels: wavBuffer.readUInt16LE(chunkStart + 2),
+          sampleRate: wavBuffer.readUInt32LE(chunkStart + 4),
+          bitsPerSample: wavBuffer.readUInt16LE(chunkStart + 14)
+        };
+      } else if (chunkId === WAV_HEADER.DATA_ID) {
+        if (!format) {
+          throw new Error('WAV data chunk found before fmt chunk');
+        }
+        // Streamed WAVs may leave the size unset; use what is there
+        const dataLength = Math.min(chunkSize, wavBuffer.length - chunkStart);
+        return { ...format, dataOffset: chunkStart, dataLength };
+      }
+      
+      offset = chunkStart + chunkSize + (chunkSize % 2); // Chunks are word aligned
+    }
+    
+    throw new Error('WAV file has no data chunk');
+  }
+
   /**
    * Gets header information for debugging
    * @param {number} audioDataLength - Audio data length
+   * @param {Object} format - PCM format ({ sampleRate, channels, bitsPerSample }), defaults to AUDIO_CONFIG
    * @returns {Object} Header information
    */
-  static getHeaderInfo(audioDataLength) {
+  static getHeaderInfo(audioDataLength, format = this.getDefaultFormat()) {
+    const blockAlign = format.channels * (format.bitsPerSample / 8);
     return {
-      sampleRate: AUDIO_CONFIG.SAMPLE_RATE,
-      channels: AUDIO_CONFIG.CHANNELS,
-      bitsPerSample: AUDIO_CONFIG.BITS_PER_SAMPLE,
+      sampleRate: format.sampleRate,
+      channels: format.channels,
+      bitsPerSample: format.bitsPerSample,
       audioDataLength,
-      byteRate: AUDIO_CONFIG.BYTE_RATE,
-      blockAlign: AUDIO_CONFIG.BLOCK_ALIGN,
+      byteRate: format.sampleRate * blockAlign,
+      blockAlign,
       headerSize: WAV_HEADER.SIZE,
       totalSize: audioDataLength + WAV_HEADER.SIZE
     };
@@ -0,0 +1,312 @@
+import { promises as fs } from 'fs';
+import { dirname } from 'path';
+import { createHmac, randomUUID } from 'crypto';
+import { RetryPolicy } from './RetryPolicy.js';
+import { WEBHOOK, CALL_OUTCOMES } from '../config/AudioConfig.js';
+
+/**
+ * Webhook Notifier
+ * Delivers signed per-call and per-batch results to configured HTTP targets
+ */
+export class WebhookNotifier {
+
+  static #cache = new Map();
+
+  static #pending = new Set();
+
+  /**
+   * Loads and validates a webhooks file (cached per path)
+   *
+   * File format:
+   *   {
+   *     "deadLetterFile": "./output/webhook-dead-letter.jsonl",   (optional)
+   *     "targets": [{
+   *       "url": "https://crm.example.com/amd",
+   *       "secret": "...", or "secretEnv": "CRM_WEBHOOK_SECRET",
+   *       "events": ["call.completed", "batch.completed"],          (optional, default: all)
+   *       "outcomes": ["answering_machine", "human"]                (optional, filters call.completed)
+   *     }]
+   *   }
+   *
+   * @param {string} configPath - Path to the webhooks JSON file
+   * @returns {Promise<Object>} { targets, deadLetterFile }
+   */
+  static async loadConfig(configPath) {
+    if (!this.#cache.has(configPath)) {
+      let content;
+      try {
+        content = await fs.readFile(configPath, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw new Error(`Webhooks file not found: ${configPath}`);
+        }
+        throw error;
+      }
+      
+      let definition;
+      try {
+        definition = JSON.parse(content);
+      } catch (error) {
+        throw new Error(`Invalid JSON in webhooks file ${configPath}: ${error.message}`);
+      }
+      
+      this.#cache.set(configPath, this.compile(definition, configPath));
+    }
+    return this.#cache.get(configPath);
+  }
+
+  /**
+   * Validates a webhooks definition
+   * @param {Object} definition - Parsed webhooks file content
+   * @param {string} source - Origin of the definition (for error messages)
+   * @returns {Object} { targets, deadLetterFile }
+   */
+  static compile(definition, source = 'webhooks') {
+    if (!Array.isArray(definition?.targets) || definition.targets.length === 0) {
+      throw new Error(`${source}: "targets" must be a non-empty array`);
+    }
+    
+    const outcomes = Object.values(CALL_OUTCOMES);
+    const targets = definition.targets.map((target, index) => {
+      const where = `${source}: targets[${index}]`;
+      
+      let url;
+      try {
+        url = new URL(target.url);
+      } catch {
+        throw new Error(`${where}: invalid url "${target.url}"`);
+      }
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new Error(`${where}: url must be http or https`);
+      }
+      
+      const secret = target.secretEnv ? process.env[target.secretEnv] : target.secret;
+      if (!secret) {
+        throw new Error(`${where}: needs a "secret"${target.secretEnv ? ` (environment variable ${target.secretEnv} is not set)` : ''}`);
+      }
+      
+      const events = target.events || WEBHOOK.EVENTS;
+      const unknownEvent = events.find(event => !WEBHOOK.EVENTS.includes(event));
+      if (unknownEvent) {
+        throw new Error(`${where}: unknown event "${unknownEvent}" (use ${WEBHOOK.EVENTS.join(', ')})`);
+      }
+      
+      const unknownOutcome = (target.outcomes || []).find(outcome => !outcomes.includes(outcome));
+      if (unknownOutcome) {
+        throw new Error(`${where}: unknown outcome "${unknownOutcome}" (use ${outcomes.join(', ')})`);
+      }
+      
+      return { url: url.href, secret, events, outcomes: target.outcomes || null };
+    });
+    
+    return { targets, deadLetterFile: definition.deadLetterFile || WEBHOOK.DEAD_LETTER_FILE };
+  }
+
+  /**
+   * Signs a payload
+   * @param {string} body - Serialized payload
+   * @param {string} timestamp - Value of the X-AMD-Timestamp header
+   * @param {string} secret - Target secret
+   * @returns {string} Hex HMAC-SHA256 of "<timestamp>.<body>"
+   */
+  static sign(body, timestamp, secret) {
+    return createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Checks whether a target wants an event
+   * @param {Object} target - Compiled target
+   * @param {string} event - Event name
+   * @param {string|null} outcome - Call outcome label (call.completed only)
+   * @returns {boolean} True when the event should be sent
+   */
+  static matches(target, event, outcome = null) {
+    if (!target.events.includes(event)) return false;
+    if (outcome && target.outcomes) return target.outcomes.includes(outcome);
+    return true;
+  }
+
+  /**
+   * Builds the payload of a finished call
+   * @param {Object} result - Result from processCompleteWorkflow
+   * @returns {Object} Call payload
+   */
+  static buildCallPayload(result) {
+    if (!result.success) {
+      return {
+        baseId: result.baseId,
+        success: false,
+        error: result.error,
+        errorClass: result.errorClass,
+        failedStage: result.failedStage,
+        attempts: result.attempts,
+        diagnostics: result.diagnostics ?? null,
+        processingTime: result.processingTime
+      };
+    }
+    
+    return {
+      baseId: result.baseId,
+      success: true,
+      outcome: result.outcome,
+      answeringMachine: {
+        detected: result.answeringMachine.detected,
+        transcript: result.answeringMachine.transcript,
+        confidence: result.answeringMachine.confidence,
+        acoustic: result.answeringMachine.acoustic.verdict,
+        wordTiming: result.answeringMachine.wordTiming
+          ? { verdict: result.answeringMachine.wordTiming.verdict, features: result.answeringMachine.wordTiming.features }
+          : null,
+        beep: result.answeringMachine.beep
+      },
+      carrierAnnouncement: result.carrierAnnouncement,
+      callTones: result.callTones ?? null,
+      dtmf: result.dtmf ?? null,
+      diagnostics: result.diagnostics ?? null,
+      processingTime: result.processingTime
+    };
+  }
+
+  /**
+   * Queues delivery of a finished call to matching targets
+   * @param {Object} result - Result from processCompleteWorkflow
+   * @param {Object} options - Workflow options ({ webhooksPath })
+   */
+  static notifyCall(result, options = {}) {
+    const event = result.success ? 'call.completed' : 'call.failed';
+    this.track(this.dispatch(event, this.buildCallPayload(result), result.success ? result.outcome.label : null, options));
+  }
+
+  /**
+   * Queues delivery of a finished batch to matching targets
+   * @param {Object} batchResult - Result from processFolderBatch
+   * @param {Object} options - Workflow options ({ webhooksPath })
+   */
+  static notifyBatch(batchResult, options = {}) {
+    const payload = {
+      folderName: batchResult.folderName,
+      folderPath: batchResult.folderPath,
+      success: batchResult.success,
+      interrupted: Boolean(batchResult.interrupted),
+      processingTime: batchResult.processingTime,
+      summary: batchResult.summary || null,
+      error: batchResult.error || null
+    };
+    this.track(this.dispatch('batch.completed', payload, null, options));
+  }
+
+  /**
+   * Keeps a delivery promise until it settles so flush can wait for it
+   * @param {Promise} delivery - Delivery in progress
+   */
+  static track(delivery) {
+    this.#pending.add(delivery);
+    delivery.finally(() => this.#pending.delete(delivery));
+  }
+
+  /**
+   * Waits for all queued deliveries (including their retries)
+   * @returns {Promise<void>}
+   */
+  static async flush() {
+    while (this.#pending.size > 0) {
+      await Promise.allSettled([...this.#pending]);
+    }
+  }
+
+  /**
+   * Sends an event to every matching target
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   * @param {string|null} outcome - Call outcome label used for filtering
+   * @param {Object} options - Workflow options ({ webhooksPath })
+   * @returns {Promise<void>} Resolves when every delivery succeeded or was dead-lettered
+   */
+  static async dispatch(event, data, outcome, options) {
+    if (!options.webhooksPath) return;
+    
+    try {
+      const config = await this.loadConfig(options.webhooksPath);
+      const envelope = { id: randomUUID(), event, createdAt: new Date().toISOString(), data };
+      
+      await Promise.all(config.targets
+        .filter(target => this.matches(target, event, outcome))
+        .map(target => this.deliver(target, envelope, config.deadLetterFile)));
+    } catch (error) {
+      // Webhook problems never fail the call itself
+      console.warn(`Webhook dispatch failed for ${event}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delivers an event to one target, retrying transient failures
+   * @param {Object} target - Compiled target
+   * @param {Object} envelope - { id, event, createdAt, data }
+   * @param {string} deadLetterFile - Where undeliverable events are recorded
+   * @returns {Promise<boolean>} True when delivered
+   */
+  static async deliver(target, envelope, deadLetterFile) {
+    const body = JSON.stringify(envelope);
+    
+    try {
+      const { attempts } = await RetryPolicy.execute(async () => {
+        // Signed per attempt so receivers can reject stale timestamps
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        
+        let response;
+        try {
+          response = await fetch(target.url, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              'X-AMD-Event': envelope.event,
+              'X-AMD-Delivery': envelope.id,
+              'X-AMD-Timestamp': timestamp,
+              'X-AMD-Signature': `sha256=${this.sign(body, timestamp, target.secret)}`
+            },
+            body,
+            signal: AbortSignal.timeout(WEBHOOK.TIMEOUT_MS)
+          });
+        } catch (error) {
+          throw new Error(`Webhook ${target.url} unreachable: ${error.cause?.message || error.message}`, { cause: error });
+        }
+        
+        if (!response.ok) {
+          const error = new Error(`Webhook ${target.url} returned ${response.status}`);
+          error.status = response.status; // Used to classify the failure for retries
+          throw error;
+        }
+      }, { maxAttempts: WEBHOOK.MAX_ATTEMPTS });
+      
+      console.log(`Webhook ${envelope.event} delivered to ${target.url}${attempts > 1 ? ` after ${attempts} attempts` : ''}`);
+      return true;
+    
+    } catch (error) {
+      console.warn(`Webhook ${envelope.event} undeliverable to ${target.url}: ${error.message}`);
+      await this.writeDeadLetter(deadLetterFile, {
+        ...envelope,
+        url: target.url,
+        error: error.message,
+        errorClass: error.errorClass,
+        attempts: error.attempts,
+        failedAt: new Date().toISOString()
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Appends an undeliverable event to the dead-letter file
+   * @param {string} deadLetterFile - Dead-letter file path
+   * @param {Object} entry - Event with delivery details
+   * @returns {Promise<void>}
+   */
+  static async writeDeadLetter(deadLetterFile, entry) {
+    try {
+      await fs.mkdir(dirname(deadLetterFile), { recursive: true });
+      await fs.appendFile(deadLetterFile, JSON.stringify(entry) + '\n', 'utf8');
+    } catch (error) {
+      console.error(`Failed to write webhook dead letter ${deadLetterFile}: ${error.message}`);
+    }
+  }
+} 
\ No newline at end of file
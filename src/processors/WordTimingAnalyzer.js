@@ -0,0 +1,184 @@
+import { TextNormalizer } from './TextNormalizer.js';
+import { CallToneClassifier } from './CallToneClassifier.js';
+import { WORD_TIMING } from '../config/AudioConfig.js';
+
+/**
+ * Word Timing Analyzer
+ * Derives speech timing features (latency, speaking rate, utterance length) from recognized word offsets
+ */
+export class WordTimingAnalyzer {
+
+  /**
+   * Collects the timed words of the transcripts that make up the transcript text
+   * @param {Object} transcription - Result from SpeechProcessor.transcribeAudio
+   * @returns {Array} Words as {word, startMs, endMs, confidence} in call time order
+   */
+  static collectWords(transcription) {
+    return transcription.transcripts
+      .filter(transcript => transcript.confidence > 0)
+      .flatMap(transcript => transcript.words || [])
+      .filter(word => word.startMs !== null && word.endMs !== null)
+      // Japanese words can carry their reading and part of speech ("留守|るす,名詞")
+      .map(word => ({ ...word, word: (word.word || '').split('|')[0] }))
+      .sort((a, b) => a.startMs - b.startMs);
+  }
+
+  /**
+   * Joins words separated by short pauses into utterances
+   * @param {Array} words - Result from collectWords
+   * @returns {Array} Utterances as {startMs, endMs, durationMs, wordCount}
+   */
+  static findUtterances(words) {
+    const utterances = [];
+    
+    for (const word of words) {
+      const previous = utterances[utterances.length - 1];
+      if (previous && word.startMs - previous.endMs <= WORD_TIMING.MAX_PAUSE_MS) {
+        previous.endMs = Math.max(previous.endMs, word.endMs);
+        previous.wordCount++;
+      } else {
+        utterances.push({ startMs: word.startMs, endMs: word.endMs, wordCount: 1 });
+      }
+    }
+    
+    return utterances.map(utterance => ({ ...utterance, durationMs: utterance.endMs - utterance.startMs }));
+  }
+
+  /**
+   * Finds when a piece of transcript text was spoken
+   * @param {Array} words - Result from collectWords
+   * @param {string} text - Text to locate (e.g. the match of a fired rule)
+   * @param {Object} normalization - Normalization settings of the rule set
+   * @returns {Object|null} { startMs, endMs } in call time, or null when the text is not found
+   */
+  static locatePhrase(words, text, normalization = {}) {
+    const pattern = TextNormalizer.normalize(text, normalization);
+    let joined = '';
+    const owners = []; // Index of the word each character of joined belongs to
+    
+    words.forEach((word, index) => {
+      const normalized = TextNormalizer.normalize(word.word, normalization);
+      joined += normalized;
+      owners.push(...new Array(normalized.length).fill(index));
+    });
+    
+    if (!pattern || !joined) return null;
+    
+    let start = joined.indexOf(pattern);
+    let end = start + pattern.length;
+    
+    // Readings are applied word by word here, so a phrase split across words may only match approximately
+    if (start === -1) {
+      const best = TextNormalizer.approximateSearch(joined, pattern);
+      if (best.end <= best.start || best.distance > Math.floor(pattern.length * WORD_TIMING.MATCH_TOLERANCE)) {
+        return null;
+      }
+      ({ start, end } = best);
+    }
+    
+    return { startMs: words[owners[start]].startMs, endMs: words[owners[end - 1]].endMs };
+  }
+
+  /**
+   * Locates the text of every fired rule among the words
+   * @param {Array} words - Result from collectWords
+   * @param {Object|null} rules - Result from RuleEngine.evaluate
+   * @param {Object} normalization - Normalization settings of the rule set
+   * @returns {Array} Phrases as {ruleId, negative, text, startMs, endMs}, earliest first
+   */
+  static locatePhrases(words, rules, normalization) {
+    const phrases = [];
+    
+    for (const rule of rules ? rules.firedRules : []) {
+      const position = this.locatePhrase(words, rule.match, normalization);
+      if (position) {
+        phrases.push({ ruleId: rule.id, negative: rule.negative, text: rule.match, ...position });
+      }
+    }
+    
+    return phrases.sort((a, b) => a.startMs - b.startMs);
+  }
+
+  /**
+   * Extracts timing features, with times measured from the answer
+   * @param {Array} words - Result from collectWords
+   * @param {Array} utterances - Result from findUtterances
+   * @param {Array} phrases - Result from locatePhrases
+   * @param {number} answerMs - Call time of the answer (end of ringback)
+   * @returns {Object} Features
+   */
+  static extractFeatures(words, utterances, phrases, answerMs = 0) {
+    const speechMs = utterances.reduce((sum, utterance) => sum + utterance.durationMs, 0);
+    const machinePhrase = phrases.find(phrase => !phrase.negative) || null;
+    const phraseUtterance = machinePhrase
+      ? utterances.find(utterance => machinePhrase.startMs >= utterance.startMs && machinePhrase.startMs <= utterance.endMs)
+      : null;
+    
+    return {
+      wordCount: words.length,
+      answerMs,
+      firstWordMs: words.length ? Math.max(0, words[0].startMs - answerMs) : null,
+      speechMs,
+      wordsPerSecond: speechMs > 0 ? Number((words.length / speechMs * 1000).toFixed(2)) : 0,
+      utteranceCount: utterances.length,
+      longestUtteranceMs: utterances.reduce((longest, utterance) => Math.max(longest, utterance.durationMs), 0),
+      matchedPhraseMs: machinePhrase ? Math.max(0, machinePhrase.startMs - answerMs) : null,
+      // How far into its utterance the voicemail phrase was spoken
+      phraseDelayMs: phraseUtterance ? machinePhrase.startMs - phraseUtterance.startMs : null
+    };
+  }
+
+  /**
+   * Derives a verdict from timing features
+   * @param {Object} features - Result of extractFeatures
+   * @returns {Object} Verdict {label, detected, confidence}
+   */
+  static classify(features) {
+    if (features.wordCount === 0) {
+      return { label: 'unknown', detected: null, confidence: 0 };
+    }
+    
+    // Long fluent speech: a recorded greeting
+    if (features.longestUtteranceMs >= WORD_TIMING.MACHINE_MIN_UTTERANCE_MS &&
+        features.wordsPerSecond >= WORD_TIMING.MACHINE_MIN_WORDS_PER_SECOND) {
+      const excess = (features.longestUtteranceMs - WORD_TIMING.MACHINE_MIN_UTTERANCE_MS) / WORD_TIMING.MACHINE_MIN_UTTERANCE_MS;
+      return { label: 'machine', detected: true, confidence: Math.min(0.9, 0.7 + excess * 0.5) };
+    }
+    
+    // The voicemail phrase ends a continuous lead-in ("ただいま電話に…") instead of standing alone
+    if (features.phraseDelayMs !== null && features.phraseDelayMs >= WORD_TIMING.MACHINE_MIN_PHRASE_DELAY_MS) {
+      return { label: 'machine', detected: true, confidence: 0.75 };
+    }
+    
+    // Quick, short answer followed by waiting for the caller
+    if (features.firstWordMs <= WORD_TIMING.HUMAN_MAX_FIRST_WORD_MS &&
+        features.speechMs <= WORD_TIMING.HUMAN_MAX_SPEECH_MS &&
+        features.wordCount <= WORD_TIMING.HUMAN_MAX_WORDS) {
+      const shortness = 1 - features.speechMs / WORD_TIMING.HUMAN_MAX_SPEECH_MS;
+      return { label: 'human', detected: false, confidence: Math.min(0.85, 0.6 + shortness * 0.25) };
+    }
+    
+    return { label: 'unknown', detected: null, confidence: 0 };
+  }
+
+  /**
+   * Analyzes the word timing of a transcription
+   * @param {Object} transcription - Result from SpeechProcessor.transcribeAudio
+   * @param {Object} context - { rules, normalization, callTones } (rule evaluation, its rule set's normalization, call tones)
+   * @returns {Object} Analysis result with verdict, features, utterances and phrases
+   */
+  static analyze(transcription, context = {}) {
+    const words = this.collectWords(transcription);
+    const utterances = this.findUtterances(words);
+    const phrases = this.locatePhrases(words, context.rules, context.normalization);
+    const answerMs = context.callTones ? CallToneClassifier.getRingbackEndMs(context.callTones) : 0;
+    const features = this.extractFeatures(words, utterances, phrases, answerMs);
+    
+    return {
+      verdict: this.classify(features),
+      features,
+      utterances,
+      phrases
+    };
+  }
+} 
\ No newline at end of file
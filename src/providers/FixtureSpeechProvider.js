@@ -0,0 +1,113 @@
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { SpeechProcessor } from '../processors/SpeechProcessor.js';
+import { PATHS, AUDIO_CONFIG } from '../config/AudioConfig.js';
+
+/**
+ * Fixture Speech Provider
+ * Replays recorded recognition responses keyed by call ID for deterministic offline runs
+ */
+export class FixtureSpeechProvider {
+  
+  static providerName = 'fixture';
+  
+  // Recorded responses cover the whole call, so audio is never split
+  static maxSegmentMs = null;
+  
+  // Recorded responses are already in call time, so a trimmed lead-in is not added again
+  static reportsCallTime = true;
+  
+  /**
+   * Gets the fixture file path for a call
+   * @param {string} callId - Call identifier (baseId)
+   * @param {string} fixturesDir - Fixtures directory
+   * @returns {string} Fixture file path
+   */
+  static getFixturePath(callId, fixturesDir = PATHS.FIXTURES_DIR) {
+    return join(fixturesDir, `${callId}.json`);
+  }
+
+  /**
+   * Returns the recorded response for a call
+   * @param {Buffer} audioBytes - WAV file content (unused)
+   * @param {Object} context - { callId, fixturesDir }
+   * @returns {Promise<Object>} Recognition response ({ results: [{ alternatives }] })
+   */
+  static async transcribe(audioBytes, context) {
+    const fixturePath = this.getFixturePath(context.callId, context.fixturesDir);
+    
+    console.log(`Replaying fixture ${fixturePath}...`);
+    
+    try {
+      return JSON.parse(await fs.readFile(fixturePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`No recorded response for ${context.callId}: ${fixturePath}`);
+      }
+      throw new Error(`Invalid fixture ${fixturePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Gets the point in the call where a recorded result ends
+   * @param {Object} result - Recorded result
+   * @returns {number} End time in milliseconds
+   */
+  static getResultEndMs(result) {
+    if (result.resultEndTime !== undefined) {
+      return SpeechProcessor.offsetToMs(result.resultEndTime) ?? 0;
+    }
+    const words = result.alternatives?.[0]?.words || [];
+    const lastWord = words[words.length - 1];
+    return lastWord ? SpeechProcessor.offsetToMs(lastWord.endTime ?? lastWord.endOffset) ?? 0 : 0;
+  }
+
+  /**
+   * Opens a streaming session that replays recorded results once the audio reaches them
+   * @param {Object} context - { callId, fixturesDir }
+   * @param {Function} onResult - Called with { transcript, confidence, isFinal }
+   * @returns {Object} Session with write(pcm) and async end()
+   */
+  static openStream(context, onResult) {
+    const recorded = this.transcribe(null, context).then(response => response.results || []);
+    recorded.catch(() => {}); // Reported by write/end
+    
+    let receivedMs = 0;
+    let emitted = 0;
+    
+    const emitReached = async (untilMs) => {
+      const results = await recorded;
+      while (emitted < results.length && this.getResultEndMs(results[emitted]) <= untilMs) {
+        const alternative = results[emitted].alternatives?.[0];
+        if (alternative) {
+          onResult({ transcript: alternative.transcript, confidence: alternative.confidence || 0, isFinal: true });
+        }
+        emitted++;
+      }
+    };
+    
+    return {
+      write: async pcm => {
+        receivedMs += pcm.length / (AUDIO_CONFIG.BYTE_RATE / 1000);
+        await emitReached(receivedMs);
+      },
+      end: () => emitReached(Infinity)
+    };
+  }
+
+  /**
+   * Records a response so later runs can replay it
+   * @param {string} callId - Call identifier (baseId)
+   * @param {Object} response - Recognition response
+   * @param {string} fixturesDir - Fixtures directory
+   * @returns {Promise<string>} Fixture file path
+   */
+  static async record(callId, response, fixturesDir = PATHS.FIXTURES_DIR) {
+    const fixturePath = this.getFixturePath(callId, fixturesDir);
+    
+    await fs.mkdir(fixturesDir, { recursive: true });
+    await fs.writeFile(fixturePath, JSON.stringify(response, null, 2), 'utf8');
+    
+    return fixturePath;
+  }
+} 
\ No newline at end of file
@@ -0,0 +1,97 @@
+import { finished } from 'stream/promises';
+import { SpeechClient } from '@google-cloud/speech';
+import { PATHS, SEGMENTATION } from '../config/AudioConfig.js';
+
+/**
+ * Google Speech Provider
+ * Transcribes audio with the Google Cloud Speech API
+ */
+export class GoogleSpeechProvider {
+  
+  static providerName = 'google';
+  
+  static maxSegmentMs = SEGMENTATION.MAX_SEGMENT_MS;
+  
+  static #client = null;
+  
+  /**
+   * Gets or creates the Google Speech client
+   * @returns {SpeechClient} Configured speech client
+   */
+  static getClient() {
+    if (!this.#client) {
+      try {
+        this.#client = new SpeechClient({
+          keyFilename: PATHS.CREDENTIALS
+        });
+      } catch (error) {
+        throw new Error(`Failed to initialize Google Speech client: ${error.message}`);
+      }
+    }
+    return this.#client;
+  }
+
+  /**
+   * Transcribes a WAV buffer
+   * @param {Buffer} audioBytes - WAV file content
+   * @param {Object} context - { callId, config }
+   * @returns {Promise<Object>} Recognition response ({ results: [{ alternatives }] })
+   */
+  static async transcribe(audioBytes, context) {
+    const request = {
+      audio: { content: audioBytes.toString('base64') },
+      config: context.config
+    };
+    
+    console.log('Sending to Google Speech API...');
+    const client = this.getClient();
+    const [response] = await client.recognize(request);
+    
+    return response;
+  }
+
+  /**
+   * Opens a streaming recognition session fed with raw PCM as the call progresses
+   * @param {Object} context - { callId, config }
+   * @param {Function} onResult - Called with { transcript, confidence, isFinal }
+   * @returns {Object} Session with write(pcm) and async end()
+   */
+  static openStream(context, onResult) {
+    const stream = this.getClient().streamingRecognize({
+      config: context.config,
+      interimResults: true
+    });
+    let failure = null;
+    
+    stream.on('data', response => {
+      for (const result of response.results || []) {
+        const alternative = result.alternatives?.[0];
+        if (!alternative) continue;
+        onResult({
+          transcript: alternative.transcript,
+          confidence: alternative.confidence || 0,
+          isFinal: Boolean(result.isFinal)
+        });
+      }
+    });
+    stream.on('error', error => {
+      failure = error;
+    });
+    
+    return {
+      write: pcm => {
+        if (failure) throw failure;
+        stream.write(pcm);
+      },
+      end: async () => {
+        if (!failure) {
+          stream.end();
+          await finished(stream).catch(error => {
+            failure = error;
+          });
+        }
+        if (failure) throw failure;
+      }
+    };
+  }
+} 
\ No newline at end of file
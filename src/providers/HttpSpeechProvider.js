@@ -0,0 +1,53 @@
+import { SPEECH, PROCESSING, SEGMENTATION } from '../config/AudioConfig.js';
+
+/**
+ * HTTP Speech Provider
+ * Sends audio to a locally running recognition engine over HTTP
+ */
+export class HttpSpeechProvider {
+  
+  static providerName = 'http';
+  
+  static maxSegmentMs = SEGMENTATION.MAX_SEGMENT_MS;
+  
+  /**
+   * Transcribes a WAV buffer through the configured endpoint
+   *
+   * Request:  POST { callId, config, audio: <base64 WAV> } as JSON
+   * Response: { results: [{ alternatives: [{ transcript, confidence, words }] }] }
+   *
+   * @param {Buffer} audioBytes - WAV file content
+   * @param {Object} context - { callId, config, speechEndpoint }
+   * @returns {Promise<Object>} Recognition response
+   */
+  static async transcribe(audioBytes, context) {
+    const endpoint = context.speechEndpoint || SPEECH.HTTP_ENDPOINT;
+    
+    console.log(`Sending to ${endpoint}...`);
+    
+    let response;
+    try {
+      response = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          callId: context.callId,
+          config: context.config,
+          audio: audioBytes.toString('base64')
+        }),
+        signal: AbortSignal.timeout(PROCESSING.TIMEOUT_MS)
+      });
+    } catch (error) {
+      throw new Error(`Speech endpoint ${endpoint} unreachable: ${error.cause?.message || error.message}`, { cause: error });
+    }
+    
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      const error = new Error(`Speech endpoint returned ${response.status}: ${body.slice(0, 200)}`);
+      error.status = response.status; // Used to classify the failure for retries
+      throw error;
+    }
+    
+    return response.json();
+  }
+} 
\ No newline at end of file
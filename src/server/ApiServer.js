@@ -0,0 +1,533 @@
+import http from 'http';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { randomUUID } from 'crypto';
+import { BatchProcessor } from '../processors/BatchProcessor.js';
+import { WavHeaderGenerator } from '../processors/WavHeaderGenerator.js';
+import { AudioDecoder } from '../processors/AudioDecoder.js';
+import { AUDIO_CONFIG, WAV_HEADER, REASSEMBLY, PROCESSING, API, CALL_STATUS, CODECS } from '../config/AudioConfig.js';
+
+// Accepted upload bodies, by Content-Type
+const UPLOAD_TYPES = {
+  'application/json': 'pair', // { id?, data: <base64 _data>, timeSize: <_timeSize text> }
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/wave': 'wav',
+  'application/octet-stream': 'pcm', // Raw payload in any codec (see codec query parameter)
+  'audio/l16': 'pcm',
+  'audio/pcmu': 'pcm', // Raw G.711 μ-law
+  'audio/pcma': 'pcm' // Raw G.711 A-law
+};
+
+// Codec implied by a raw Content-Type
+const CONTENT_TYPE_CODECS = {
+  'audio/pcmu': CODECS.MULAW,
+  'audio/pcma': CODECS.ALAW
+};
+
+/**
+ * API Server
+ * Local HTTP API that runs the complete workflow on uploaded calls as background jobs
+ */
+export class ApiServer {
+
+  static #jobs = new Map();
+
+  static #queue = [];
+
+  static #running = new Set();
+
+  static #stopping = false;
+
+  /**
+   * Starts listening
+   *
+   * Endpoints:
+   *   POST /jobs                   Upload a call (see UPLOAD_TYPES), returns 202 with the job
+   *   GET  /jobs                   List jobs
+   *   GET  /jobs/:id               Job status
+   *   GET  /jobs/:id/result        Workflow result JSON (409 until the job has finished)
+   *   GET  /jobs/:id/transcript    Transcription text file
+   *   GET  /jobs/:id/audio         Generated WAV file
+   *   GET  /health                 Server and queue status
+   *
+   * @param {Object} options - Workflow options for every job, plus { host, port, concurrency }
+   * @returns {Promise<http.Server>} Listening server
+   */
+  static async start(options = {}) {
+    const host = options.host || API.HOST;
+    const port = options.port ?? API.PORT;
+    
+    await fs.mkdir(API.JOBS_DIR, { recursive: true });
+    
+    const server = http.createServer((req, res) => {
+      this.handleRequest(req, res, options).catch(error => {
+        // Client errors carry a status; anything else is a server failure
+        if (!error.status) {
+          console.error(`API request failed: ${error.message}`);
+        }
+        if (!res.headersSent) {
+          this.sendJson(res, error.status || 500, { error: error.message });
+        } else {
+          res.destroy();
+        }
+      });
+    });
+    
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, resolve);
+    });
+    
+    const address = server.address();
+    console.log(`API server listening on http://${address.address}:${address.port}`);
+    return server;
+  }
+
+  /**
+   * Stops the server: refuses new jobs, waits for running jobs and closes the listener
+   * @param {http.Server} server - Server returned by start
+   * @returns {Promise<void>}
+   */
+  static async stop(server) {
+    this.#stopping = true;
+    const closed = new Promise(resolve => server.close(resolve));
+    
+    // Queued jobs are only held in memory, so they cannot be picked up after a restart
+    if (this.#queue.length > 0) {
+      console.log(`Dropping ${this.#queue.length} queued job(s)`);
+      this.#queue.length = 0;
+    }
+    
+    if (this.#running.size > 0) {
+      console.log(`Waiting for ${this.#running.size} running job(s)`);
+      await Promise.allSettled([...this.#running]);
+    }
+    await closed;
+  }
+
+  /**
+   * Creates an error carrying an HTTP status
+   * @param {number} status - HTTP status code
+   * @param {string} message - Error message returned to the client
+   * @returns {Error} Error with a status property
+   */
+  static httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  /**
+   * Routes a request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @param {Object} options - Server options
+   * @returns {Promise<void>}
+   */
+  static async handleRequest(req, res, options) {
+    const url = new URL(req.url, 'http://localhost');
+    const [, resource, jobId, view, ...rest] = url.pathname.split('/');
+    
+    if (resource === 'health' && !jobId) {
+      this.allowMethods(req, ['GET']);
+      this.sendJson(res, 200, {
+        status: this.#stopping ? 'stopping' : 'ok',
+        running: this.#running.size,
+        queued: this.#queue.length,
+        jobs: this.#jobs.size
+      });
+      return;
+    }
+    
+    if (resource !== 'jobs' || rest.length > 0) {
+      throw this.httpError(404, `Not found: ${url.pathname}`);
+    }
+    
+    if (!jobId) {
+      this.allowMethods(req, ['GET', 'POST']);
+      if (req.method === 'POST') {
+        if (this.#stopping) {
+          throw this.httpError(503, 'Server is shutting down');
+        }
+        const job = await this.createJob(req, url.searchParams, options);
+        res.setHeader('Location', `/jobs/${job.id}`);
+        this.sendJson(res, 202, this.describeJob(job));
+      } else {
+        this.sendJson(res, 200, { jobs: [...this.#jobs.values()].map(job => this.describeJob(job)) });
+      }
+      return;
+    }
+    
+    this.allowMethods(req, ['GET']);
+    const job = this.#jobs.get(jobId);
+    if (!job) {
+      throw this.httpError(404, `Unknown job: ${jobId}`);
+    }
+    
+    switch (view) {
+      case undefined:
+      case '':
+        this.sendJson(res, 200, this.describeJob(job));
+        break;
+      
+      case 'result':
+        this.requireFinished(job);
+        this.sendJson(res, 200, job.result);
+        break;
+      
+      case 'transcript':
+        this.requireFinished(job);
+        await this.sendFile(res, join(job.dir, `${job.baseId}.txt`), 'text/plain; charset=utf-8');
+        break;
+      
+      case 'audio':
+        this.requireFinished(job);
+        await this.sendFile(res, join(job.dir, `${job.baseId}.wav`), 'audio/wav');
+        break;
+      
+      default:
+        throw this.httpError(404, `Not found: ${url.pathname}`);
+    }
+  }
+
+  /**
+   * Rejects methods an endpoint does not support
+   * @param {http.IncomingMessage} req - Request
+   * @param {Array<string>} methods - Allowed methods
+   */
+  static allowMethods(req, methods) {
+    if (!methods.includes(req.method)) {
+      throw this.httpError(405, `Method ${req.method} not allowed (use ${methods.join(', ')})`);
+    }
+  }
+
+  /**
+   * Rejects result downloads for jobs that are still queued or running
+   * @param {Object} job - Job
+   */
+  static requireFinished(job) {
+    if (!this.isFinished(job)) {
+      throw this.httpError(409, `Job ${job.id} is ${job.status}`);
+    }
+  }
+
+  /**
+   * Checks whether a job has finished
+   * @param {Object} job - Job
+   * @returns {boolean} True when completed or failed
+   */
+  static isFinished(job) {
+    return job.status === CALL_STATUS.COMPLETED || job.status === CALL_STATUS.FAILED;
+  }
+
+  /**
+   * Forgets the oldest finished jobs beyond API.MAX_FINISHED_JOBS so a long-running server
+   * does not keep every result in memory (job files stay in API.JOBS_DIR)
+   */
+  static evictFinishedJobs() {
+    const finished = [...this.#jobs.values()].filter(job => this.isFinished(job));
+    finished.slice(0, Math.max(0, finished.length - API.MAX_FINISHED_JOBS)).forEach(job => {
+      this.#jobs.delete(job.id);
+    });
+  }
+
+  /**
+   * Sends a JSON response
+   * @param {http.ServerResponse} res - Response
+   * @param {number} status - HTTP status code
+   * @param {Object} body - Response body
+   */
+  static sendJson(res, status, body) {
+    const content = JSON.stringify(body, null, 2);
+    res.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(content)
+    });
+    res.end(content);
+  }
+
+  /**
+   * Sends a file produced by a job
+   * @param {http.ServerResponse} res - Response
+   * @param {string} filePath - File to send
+   * @param {string} contentType - Content-Type header
+   * @returns {Promise<void>}
+   */
+  static async sendFile(res, filePath, contentType) {
+    let content;
+    try {
+      content = await fs.readFile(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw this.httpError(404, 'File not produced by this job');
+      }
+      throw error;
+    }
+    
+    res.writeHead(200, { 'Content-Type': contentType, 'Content-Length': content.length });
+    res.end(content);
+  }
+
+  /**
+   * Reads a request body, enforcing a size limit
+   * @param {http.IncomingMessage} req - Request
+   * @param {number} limit - Maximum body size in bytes
+   * @returns {Promise<Buffer>} Body
+   */
+  static async readBody(req, limit) {
+    const declared = parseInt(req.headers['content-length'], 10);
+    if (declared > limit) {
+      throw this.httpError(413, `Request body too large: ${declared} bytes (max: ${limit})`);
+    }
+    
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > limit) {
+        throw this.httpError(413, `Request body too large (max: ${limit} bytes)`);
+      }
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Builds a _timeSize file for audio without one (one 20ms frame per entry)
+   * @param {number} byteLength - Payload length in bytes
+   * @param {string} codec - Payload codec, which sets the bytes per frame
+   * @returns {string} _timeSize content
+   */
+  static createTimeSize(byteLength, codec = CODECS.PCM16LE) {
+    const frameSize = REASSEMBLY.FRAME_SIZE / 2 * AudioDecoder.getBytesPerSample(codec);
+    const entries = [];
+    for (let offset = 0, frame = 0; offset < byteLength; offset += frameSize, frame++) {
+      entries.push(`${frame * REASSEMBLY.FRAME_DURATION_MS}/${Math.min(frameSize, byteLength - offset)}`);
+    }
+    return entries.join(',');
+  }
+
+  /**
+   * Maps a WAV format to the codec of its audio data
+   * @param {Object} header - Result from WavHeaderGenerator.parseHeader
+   * @returns {string|null} Codec, or null when unsupported
+   */
+  static getWavCodec(header) {
+    const { audioFormat, bitsPerSample } = header;
+    if (audioFormat === WAV_HEADER.PCM_FORMAT && bitsPerSample === 16) return CODECS.PCM16LE;
+    if (audioFormat === WAV_HEADER.PCM_FORMAT && bitsPerSample === 8) return CODECS.PCM8;
+    if (audioFormat === WAV_HEADER.MULAW_FORMAT && bitsPerSample === 8) return CODECS.MULAW;
+    if (audioFormat === WAV_HEADER.ALAW_FORMAT && bitsPerSample === 8) return CODECS.ALAW;
+    return null;
+  }
+
+  /**
+   * Converts an upload body to a _data/_timeSize pair
+   * @param {Buffer} body - Request body
+   * @param {string} uploadType - pair, wav or pcm
+   * @param {string} codec - Requested payload codec (auto or unset to detect)
+   * @returns {Object} { data, timeSize, id, codec }
+   */
+  static parseUpload(body, uploadType, codec) {
+    if (uploadType === 'pair') {
+      let payload;
+      try {
+        payload = JSON.parse(body.toString('utf8'));
+      } catch (error) {
+        throw this.httpError(400, `Invalid JSON: ${error.message}`);
+      }
+      if (typeof payload.data !== 'string' || typeof payload.timeSize !== 'string') {
+        throw this.httpError(400, 'JSON uploads need "data" (base64 _data) and "timeSize" (_timeSize text)');
+      }
+      if (payload.timeSize.length > API.MAX_TIMING_SIZE) {
+        throw this.httpError(413, `timeSize too large (max: ${API.MAX_TIMING_SIZE} characters)`);
+      }
+      
+      const data = Buffer.from(payload.data, 'base64');
+      if (data.length > PROCESSING.MAX_FILE_SIZE) {
+        throw this.httpError(413, `Audio data too large: ${data.length} bytes (max: ${PROCESSING.MAX_FILE_SIZE})`);
+      }
+      return { data, timeSize: payload.timeSize, id: payload.id, codec };
+    }
+    
+    if (uploadType === 'wav') {
+      let header;
+      try {
+        header = WavHeaderGenerator.parseHeader(body);
+      } catch (error) {
+        throw this.httpError(400, `Invalid WAV file: ${error.message}`);
+      }
+      
+      // The header says what the data is, whatever codec was requested
+      const { audioFormat, channels, sampleRate, bitsPerSample } = header;
+      const wavCodec = this.getWavCodec(header);
+      if (!wavCodec || channels !== AUDIO_CONFIG.CHANNELS || sampleRate !== AUDIO_CONFIG.SAMPLE_RATE) {
+        throw this.httpError(415, `Unsupported WAV format: format ${audioFormat}, ${channels}ch, ${sampleRate}Hz, ${bitsPerSample}bit ` +
+          `(expected 16/8-bit PCM, μ-law or A-law, ${AUDIO_CONFIG.CHANNELS}ch, ${AUDIO_CONFIG.SAMPLE_RATE}Hz)`);
+      }
+      
+      const data = body.subarray(header.dataOffset, header.dataOffset + header.dataLength);
+      return { data, timeSize: this.createTimeSize(data.length, wavCodec), codec: wavCodec };
+    }
+    
+    // Raw uploads are framed by codec, so it is settled here rather than in the workflow
+    const rawCodec = AudioDecoder.resolveCodec(body, codec).codec;
+    return { data: body, timeSize: this.createTimeSize(body.length, rawCodec), codec: rawCodec };
+  }
+
+  /**
+   * Stores an upload as a new job and queues it
+   * @param {http.IncomingMessage} req - Upload request
+   * @param {URLSearchParams} params - Query parameters (id, codec, validation, acoustic, acoustic-only, reassemble, preprocess, analyze-seconds)
+   * @param {Object} options - Server options
+   * @returns {Promise<Object>} Job
+   */
+  static async createJob(req, params, options) {
+    const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    const uploadType = UPLOAD_TYPES[contentType];
+    if (!uploadType) {
+      throw this.httpError(415, `Unsupported Content-Type "${contentType}" (use ${Object.keys(UPLOAD_TYPES).join(', ')})`);
+    }
+    
+    const limit = {
+      pair: Math.ceil(PROCESSING.MAX_FILE_SIZE / 3) * 4 + API.MAX_TIMING_SIZE + 1024,
+      wav: PROCESSING.MAX_FILE_SIZE + API.MAX_WAV_HEADER_SIZE,
+      pcm: PROCESSING.MAX_FILE_SIZE
+    }[uploadType];
+    
+    const codec = params.get('codec') || CONTENT_TYPE_CODECS[contentType] || options.codec;
+    if (codec && codec !== 'auto' && !AudioDecoder.getCodecs().includes(codec)) {
+      throw this.httpError(400, `Unknown codec "${codec}" (use auto, ${AudioDecoder.getCodecs().join(', ')})`);
+    }
+    
+    const upload = this.parseUpload(await this.readBody(req, limit), uploadType, codec);
+    if (upload.data.length === 0) {
+      throw this.httpError(400, 'Upload contains no audio data');
+    }
+    
+    const id = randomUUID();
+    const baseId = params.get('id') || upload.id || id;
+    if (!/^[\w.-]+$/.test(baseId)) {
+      throw this.httpError(400, `Invalid call id "${baseId}" (letters, digits, ".", "_" and "-" only)`);
+    }
+    
+    const flag = name => ['1', 'true', ''].includes(params.get(name));
+    const analyzeSeconds = params.has('analyze-seconds') ? Number(params.get('analyze-seconds')) : undefined;
+    if (analyzeSeconds !== undefined && !(analyzeSeconds > 0)) {
+      throw this.httpError(400, `analyze-seconds must be a positive number, got "${params.get('analyze-seconds')}"`);
+    }
+    
+    const validation = params.get('validation') || options.validation;
+    if (validation && !['strict', 'lenient'].includes(validation)) {
+      throw this.httpError(400, `validation must be strict or lenient, got "${validation}"`);
+    }
+    
+    const dir = join(API.JOBS_DIR, id);
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(join(dir, `${baseId}_data`), upload.data);
+    await fs.writeFile(join(dir, `${baseId}_timeSize`), upload.timeSize, 'utf8');
+    
+    const now = new Date().toISOString();
+    const job = {
+      id,
+      baseId,
+      dir,
+      status: CALL_STATUS.PENDING,
+      stages: {},
+      upload: uploadType,
+      options: {
+        acoustic: flag('acoustic') || options.acoustic,
+        acousticOnly: flag('acoustic-only') || options.acousticOnly,
+        reassemble: flag('reassemble') || options.reassemble,
+        preprocess: flag('preprocess') || options.preprocess,
+        preprocessSteps: options.preprocessSteps,
+        analyzeSeconds: analyzeSeconds ?? options.analyzeSeconds,
+        codec: upload.codec,
+        validation
+      },
+      createdAt: now,
+      updatedAt: now,
+      result: null
+    };
+    this.#jobs.set(id, job);
+    
+    console.log(`Queued job ${id} (${baseId}, ${uploadType}${upload.codec ? ` ${upload.codec}` : ''}, ${upload.data.length} bytes)`);
+    this.#queue.push(job);
+    this.drainQueue(options);
+    
+    return job;
+  }
+
+  /**
+   * Starts queued jobs while fewer than the allowed number are running
+   * @param {Object} options - Server options ({ concurrency })
+   */
+  static drainQueue(options) {
+    const concurrency = options.concurrency || PROCESSING.CONCURRENCY;
+    
+    while (this.#running.size < concurrency && this.#queue.length > 0) {
+      const job = this.#queue.shift();
+      const run = this.runJob(job, options)
+        .catch(error => console.error(`Job ${job.id} crashed: ${error.message}`))
+        .finally(() => {
+          this.#running.delete(run);
+          this.evictFinishedJobs();
+          this.drainQueue(options);
+        });
+      this.#running.add(run);
+    }
+  }
+
+  /**
+   * Runs the complete workflow for a job
+   * @param {Object} job - Job
+   * @param {Object} options - Server options
+   * @returns {Promise<void>}
+   */
+  static async runJob(job, options) {
+    job.status = CALL_STATUS.IN_PROGRESS;
+    job.updatedAt = new Date().toISOString();
+    
+    const { host, port, concurrency, ...workflowOptions } = options;
+    const result = await BatchProcessor.processCompleteWorkflow(job.baseId, job.dir, {
+      ...workflowOptions,
+      ...job.options,
+      outputDir: job.dir,
+      onStage: async stage => {
+        job.stages[stage] = new Date().toISOString();
+        job.updatedAt = job.stages[stage];
+      }
+    });
+    
+    job.result = result;
+    job.status = result.success ? CALL_STATUS.COMPLETED : CALL_STATUS.FAILED;
+    job.updatedAt = new Date().toISOString();
+    await fs.writeFile(join(job.dir, 'result.json'), JSON.stringify(result, null, 2), 'utf8');
+  }
+
+  /**
+   * Builds the public view of a job
+   * @param {Object} job - Job
+   * @returns {Object} Job status with links to its outputs
+   */
+  static describeJob(job) {
+    return {
+      id: job.id,
+      baseId: job.baseId,
+      status: job.status,
+      stages: job.stages,
+      options: job.options,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      outcome: job.result?.outcome?.label ?? null,
+      error: job.result?.error ?? null,
+      links: {
+        self: `/jobs/${job.id}`,
+        result: `/jobs/${job.id}/result`,
+        transcript: `/jobs/${job.id}/transcript`,
+        audio: `/jobs/${job.id}/audio`
+      }
+    };
+  }
+} 
\ No newline at end of file